@@ -0,0 +1,187 @@
+/*
+BUILD-CATALOG.MJS - Generate src/data/catalog.json, the offline object catalog
+
+Usage:
+  node scripts/build-catalog.mjs <path to d3-celestial/data>
+
+The source data comes from d3-celestial (https://github.com/ofrohn/d3-celestial, BSD-3-Clause,
+Copyright (c) 2015 Olaf Frohn), available as the "d3-celestial" npm package:
+- messier.json: the Messier objects with their NGC numbers and common names
+- dsos.20.json: deep-sky objects to magnitude 20; only NGC, IC and the few Caldwell entries are kept,
+  which is a subset of NGC/IC (fainter objects are not in the file)
+- dsonames.json: common names of deep-sky objects, keyed by designation
+- stars.6.json, starnames.json: Hipparcos stars to magnitude 6 and their names
+- constellations.json, constellations.bounds.json: names and IAU boundaries
+
+Output format, kept compact because the whole file is shipped to the browser:
+  {
+    source: "...",
+    constellations: [[abbreviation, name, genitive], ...],
+    objects: [[designations, type, mag, size, constellation, ra, dec, motion?], ...]
+  }
+designations is a "|"-separated list: primary designation, common name (may be empty),
+then other designations. ra/dec are J2000 degrees, size is in arcminutes ("axb" or "a"),
+mag is null when unknown and motion is [pmRa, pmDec, parallax, radialVelocity].
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { geoArea, geoContains } from 'd3';
+
+const dataDir = process.argv[2];
+if (!dataDir) {
+    console.error('Usage: node scripts/build-catalog.mjs <path to d3-celestial/data>');
+    process.exit(1);
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+const outFile = new URL('../src/data/catalog.json', import.meta.url);
+
+// Caldwell numbers by NGC/IC designation; C 9, C 41 and C 99 are in dsos.20.json as "C n"
+const CALDWELL = {
+    'NGC 188': 1, 'NGC 40': 2, 'NGC 4236': 3, 'NGC 7023': 4, 'IC 342': 5, 'NGC 6543': 6,
+    'NGC 2403': 7, 'NGC 559': 8, 'NGC 663': 10, 'NGC 7635': 11, 'NGC 6946': 12,
+    'NGC 457': 13, 'NGC 869': 14, 'NGC 6826': 15, 'NGC 7243': 16, 'NGC 147': 17,
+    'NGC 185': 18, 'IC 5146': 19, 'NGC 7000': 20, 'NGC 4449': 21, 'NGC 7662': 22,
+    'NGC 891': 23, 'NGC 1275': 24, 'NGC 2419': 25, 'NGC 4244': 26, 'NGC 6888': 27,
+    'NGC 752': 28, 'NGC 5005': 29, 'NGC 7331': 30, 'IC 405': 31, 'NGC 4631': 32,
+    'NGC 6992': 33, 'NGC 6960': 34, 'NGC 4889': 35, 'NGC 4559': 36, 'NGC 6885': 37,
+    'NGC 4565': 38, 'NGC 2392': 39, 'NGC 3626': 40, 'NGC 7006': 42, 'NGC 7814': 43,
+    'NGC 7479': 44, 'NGC 5248': 45, 'NGC 2261': 46, 'NGC 6934': 47, 'NGC 2775': 48,
+    'NGC 2237': 49, 'NGC 2244': 50, 'IC 1613': 51, 'NGC 4697': 52, 'NGC 3115': 53,
+    'NGC 2506': 54, 'NGC 7009': 55, 'NGC 246': 56, 'NGC 6822': 57, 'NGC 2360': 58,
+    'NGC 3242': 59, 'NGC 4038': 60, 'NGC 4039': 61, 'NGC 247': 62, 'NGC 7293': 63,
+    'NGC 2362': 64, 'NGC 253': 65, 'NGC 5694': 66, 'NGC 1097': 67, 'NGC 6729': 68,
+    'NGC 6302': 69, 'NGC 300': 70, 'NGC 2477': 71, 'NGC 55': 72, 'NGC 1851': 73,
+    'NGC 3132': 74, 'NGC 6124': 75, 'NGC 6231': 76, 'NGC 5128': 77, 'NGC 6541': 78,
+    'NGC 3201': 79, 'NGC 5139': 80, 'NGC 6352': 81, 'NGC 6193': 82, 'NGC 4945': 83,
+    'NGC 5286': 84, 'IC 2391': 85, 'NGC 6397': 86, 'NGC 1261': 87, 'NGC 5823': 88,
+    'NGC 6087': 89, 'NGC 2867': 90, 'NGC 3532': 91, 'NGC 3372': 92, 'NGC 6752': 93,
+    'NGC 4755': 94, 'NGC 6025': 95, 'NGC 2516': 96, 'NGC 3766': 97, 'NGC 4609': 98,
+    'IC 2944': 100, 'NGC 6744': 101, 'IC 2602': 102, 'NGC 2070': 103, 'NGC 362': 104,
+    'NGC 4833': 105, 'NGC 104': 106, 'NGC 6101': 107, 'NGC 4372': 108, 'NGC 3195': 109
+};
+
+// Common names d3-celestial lacks or words differently
+const EXTRA_NAMES = {
+    'C 9': 'Cave Nebula',
+    'C 41': 'Hyades',
+    'C 99': 'Coalsack',
+    'NGC 869': 'Double Cluster',
+    'NGC 2237': 'Rosette Nebula'
+};
+
+// Deep-sky objects missing from dsos.20.json
+const EXTRA_DSOS = [
+    { properties: { desig: 'NGC 2237', type: 'en', mag: '9.0', dim: '80x60' }, geometry: { coordinates: [98.19, 4.98] } }
+];
+
+// Space motion for a few well-known stars (Hipparcos number: [pmRa, pmDec, parallax, radialVelocity])
+const SPACE_MOTION = {
+    91262: [200.94, 286.23, 130.23, -20.6],      // Vega
+    27989: [27.54, 11.30, 6.55, 21.91],          // Betelgeuse
+    24436: [1.31, 0.50, 3.78, 17.8],             // Rigel
+    32349: [-546.01, -1223.07, 379.21, -5.5],    // Sirius
+    104214: [4164.21, 3249.99, 285.99, -65.97],  // 61 Cygni A
+    87937: [-801.55, 10362.39, 546.98, -110.51]  // Barnard's Star
+};
+
+// Stars fainter than magnitude 6 that are worth having anyway
+const EXTRA_STARS = [
+    { hip: 87937, mag: 9.5, ra: 269.4521, dec: 4.6934 } // Barnard's Star
+];
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+const toRa = (lon) => round(lon < 0 ? lon + 360 : lon, 4);
+const parseMag = (mag) => {
+    const value = parseFloat(mag);
+    return Number.isFinite(value) && value < 99 ? round(value, 1) : null;
+};
+
+// Constellation lookup from the IAU boundaries; some polygons come wound the "outside" way round
+const bounds = readJson('constellations.bounds.json');
+bounds.features.forEach(feature => {
+    if (geoArea(feature) > 2 * Math.PI) {
+        const reverseRings = rings => rings.map(ring => ring.slice().reverse());
+        const geometry = feature.geometry;
+        geometry.coordinates = geometry.type === 'Polygon'
+            ? reverseRings(geometry.coordinates)
+            : geometry.coordinates.map(reverseRings);
+    }
+});
+const constellationAt = (lon, lat) => {
+    const feature = bounds.features.find(f => geoContains(f, [lon, lat]));
+    return feature ? feature.id : '';
+};
+
+const constellations = [];
+readJson('constellations.json').features.forEach(({ id, properties }) => {
+    if (!constellations.some(([abbreviation]) => abbreviation === id)) {
+        constellations.push([id, properties.name, properties.gen]);
+    }
+});
+
+const objects = [];
+const addObject = (designations, type, mag, size, lon, lat, motion) => {
+    const row = [
+        designations.join('|'), type, mag, size || null,
+        constellationAt(lon, lat), toRa(lon), round(lat, 4)
+    ];
+    if (motion) row.push(motion);
+    objects.push(row);
+};
+
+// Messier objects, merged with their NGC/IC entry
+const dsoNames = readJson('dsonames.json');
+const nameOf = (desig) => EXTRA_NAMES[desig] || (dsoNames[desig] && dsoNames[desig].name) || '';
+const messierCrossRef = new Set();
+
+readJson('messier.json').features.forEach(({ properties, geometry }) => {
+    const messier = properties.name.replace(/^M/, 'M ');
+    const crossRef = /^(NGC|IC) \d/.test(properties.desig) ? properties.desig : '';
+    const common = nameOf(crossRef) || properties.alt || '';
+    const aliases = [crossRef, CALDWELL[crossRef] ? `C ${CALDWELL[crossRef]}` : '', properties.alt]
+        .filter(alias => alias && alias !== common);
+
+    if (crossRef) messierCrossRef.add(crossRef);
+    addObject([messier, common, ...aliases], properties.type, parseMag(properties.mag), properties.dim,
+        geometry.coordinates[0], geometry.coordinates[1]);
+});
+
+// NGC, IC and the Caldwell objects without an NGC/IC number
+[...readJson('dsos.20.json').features, ...EXTRA_DSOS].forEach(({ properties, geometry }) => {
+    const desig = properties.desig;
+    if (!/^(NGC|IC|C) \d/.test(desig) || messierCrossRef.has(desig)) return;
+
+    const caldwell = CALDWELL[desig] ? `C ${CALDWELL[desig]}` : '';
+    addObject([desig, nameOf(desig), caldwell].filter((alias, i) => i === 1 || alias),
+        properties.type, parseMag(properties.mag), properties.dim,
+        geometry.coordinates[0], geometry.coordinates[1]);
+});
+
+// Stars to magnitude 6: Bayer, then Flamsteed, then Hipparcos designation first
+const starNames = readJson('starnames.json');
+const stars = readJson('stars.6.json').features.map(({ id, properties, geometry }) => ({
+    hip: id,
+    mag: properties.mag,
+    ra: geometry.coordinates[0],
+    dec: geometry.coordinates[1]
+}));
+
+[...stars, ...EXTRA_STARS].forEach(({ hip, mag, ra, dec }) => {
+    const names = starNames[hip] || {};
+    const con = names.c || constellationAt(ra > 180 ? ra - 360 : ra, dec);
+    const bayer = names.bayer && !names.bayer.includes('undefined') ? `${names.bayer} ${con}` : '';
+    const flamsteed = names.flam ? `${names.flam} ${con}` : '';
+    const designations = [bayer, flamsteed, names.hd, `HIP ${hip}`].filter(Boolean);
+
+    addObject([designations[0], names.name || '', ...designations.slice(1)], 'star', parseMag(mag), null,
+        ra > 180 ? ra - 360 : ra, dec, SPACE_MOTION[hip]);
+});
+
+fs.writeFileSync(outFile, JSON.stringify({
+    source: 'd3-celestial data (https://github.com/ofrohn/d3-celestial), BSD-3-Clause, Copyright (c) 2015 Olaf Frohn',
+    constellations,
+    objects
+}));
+console.log(`Wrote ${objects.length} objects to ${outFile.pathname}`);
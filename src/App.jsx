@@ -1,15 +1,48 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import PolarPlot from './components/PolarPlot.jsx';
 import AstronomicalObjectSettings from './components/AstronomicalObjectSettings.jsx';
 import ObserverSettings from './components/ObserverSettings.jsx';
-import { useLocalStorageGroup } from './hooks/useLocalStorage.js';
+import OverlayControls from './components/OverlayControls.jsx';
+import TargetList from './components/TargetList.jsx';
+import TonightPlanner from './components/TonightPlanner.jsx';
+import AltitudeChart from './components/AltitudeChart.jsx';
+import TimeScrubber from './components/TimeScrubber.jsx';
+import { useLocalStorage, useLocalStorageGroup } from './hooks/useLocalStorage.js';
+import { useSites } from './hooks/useSites.js';
 import { 
     generateCustomTimeDates, 
+    generateDateRange,
+    getTwilightTimes,
+    getDarkWindow,
+    getRiseTransitSet,
+    getNextRiseTransitSet,
+    getMoonPosition,
+    getHourAngle,
+    getAirmass,
+    getHorizonDip,
+    generateEquatorialGrid,
+    getAngularSeparation,
+    resolveCelestial,
+    propagateSpaceMotion,
     polarisCelestial, 
-    hmsToDeg, 
-    dmsToDeg, 
     RaDec2AzEl 
 } from './astronomical.js';
+import { PLANETS } from './planets.js';
+import { createResolver, DEFAULT_TIMEOUT_MS, SESAME_BASE_URL } from './resolvers.js';
+import { formatZonedTime, formatZonedDate, formatUtcTime, zonedTimeToDate } from './timezone.js';
+import {
+    DEFAULT_TARGETS,
+    createTarget,
+    nextTargetColor,
+    moveTarget,
+    getTargetCelestial,
+    getTargetDecSign,
+    getTargetRaDec,
+    raDecToTargetFields
+} from './targets.js';
+import { angleToFields } from './coordinates.js';
+import { getSiteLatitude, getSiteLongitude, latLonToSiteFields } from './sites.js';
+import { buildPermalink, parsePermalink, removePermalinkParameters } from './permalink.js';
 
 /*
 Main App Component
@@ -17,108 +50,433 @@ Starpath - Astronomical Sky Path Visualization
 Refactored with component separation for better maintainability
 */
 
+// Live mode: how often the clock ticks, and how far back the trail behind each marker reaches
+const LIVE_TICK_MS = 5000;
+const LIVE_TRAIL_MINUTES = 60;
+const LIVE_TRAIL_STEP_MINUTES = 5;
+
+// localStorage keys (after 'starpath_') of the single target kept before the target list existed
+const LEGACY_TARGET_KEYS = {
+    raHours: 'raHours',
+    raMinutes: 'raMinutes',
+    raSeconds: 'raSeconds',
+    decDegrees: 'decDegrees',
+    decArcminutes: 'decArcminutes',
+    decArcseconds: 'decArcseconds',
+    epoch: 'targetEpoch',
+    pmRa: 'pmRa',
+    pmDec: 'pmDec',
+    parallax: 'parallax',
+    radialVelocity: 'radialVelocity',
+    planet: 'targetPlanet'
+};
+
+// The first target list, carrying over a target saved by an older version so upgrading loses nothing
+const readLegacyTargets = () => {
+    const defaultTarget = DEFAULT_TARGETS[0];
+    const target = { ...defaultTarget };
+    Object.entries(LEGACY_TARGET_KEYS).forEach(([field, key]) => {
+        try {
+            const item = window.localStorage.getItem(`starpath_${key}`);
+            if (item) target[field] = JSON.parse(item);
+        } catch (error) {
+            console.warn(`Failed to load from localStorage key "starpath_${key}":`, error);
+        }
+    });
+
+    // Older versions kept the Dec sign on the degrees, and never stored the object's name
+    target.decSign = target.decDegrees < 0 ? '-' : '+';
+    target.decDegrees = Math.abs(target.decDegrees);
+    if (Object.keys(LEGACY_TARGET_KEYS).every(field => target[field] === defaultTarget[field])) return DEFAULT_TARGETS;
+    const planet = PLANETS.find(({ key }) => key === target.planet);
+    return [{ ...target, name: planet ? planet.name : 'Saved Target' }];
+};
+
 function App() {
     // Core application state
     const [positionData, setPositionData] = useState(null);
     const [observationDate, setObservationDate] = useState(new Date());
     const [loading, setLoading] = useState(true);
-    const [objectName, setObjectName] = useState('Fireworks Nebula');
 
-    // Coordinate state managed with localStorage
+    // Target list and the target being edited, managed with localStorage.
+    // The legacy keys are only read on first load, while nothing is stored under starpath_targets yet
+    const defaultTargets = useMemo(readLegacyTargets, []);
+    const [targets, setTargets] = useLocalStorage('starpath_targets', defaultTargets);
+    const [selectedTargetId, setSelectedTargetId] = useLocalStorage('starpath_selectedTarget', defaultTargets[0].id);
+    const selectedTarget = targets.find(target => target.id === selectedTargetId) || targets[0];
+
+    // Saved observing sites; the active one's position, elevation, time zone and horizon drive every calculation
+    const { sites, activeSite, selectSite, updateActiveSite, addSite, renameSite, removeSite } = useSites();
+
+    // Refraction settings managed with localStorage (the weather, not the site)
     const { values: coords, setters: setCoords } = useLocalStorageGroup('starpath_', {
-        raHours: 20,
-        raMinutes: 35,
-        raSeconds: 25,
-        decDegrees: 60,
-        decArcminutes: 14,
-        decArcseconds: 47,
-        latDegrees: 42,
-        latArcminutes: 41,
-        latArcseconds: 1,
-        latDirection: 'N',
-        lonDegrees: 71,
-        lonArcminutes: 28,
-        lonArcseconds: 16,
-        lonDirection: 'W'
+        apparentAltitude: false, // Apply atmospheric refraction to plotted altitudes and rise/set times
+        temperatureC: 10,
+        pressureHpa: 1010
     });
 
     // Time range state
-    const [startTime, setStartTime] = useState(18); // 6 PM default
+    const [startTime, setStartTime] = useState(18); // 6 PM default, in hours (18.5 = 18:30)
     const [endTime, setEndTime] = useState(6); // 6 AM default
+    const [stepMinutes, setStepMinutes] = useState(10); // Time between plotted samples
+    const [timeWindowMode, setTimeWindowMode] = useState('fixed'); // 'fixed' hours or 'astronomical' dusk to dawn
+
+    // Site time zone (IANA name or UTC offset): hours and calendar dates are read on the site's clock
+    const timeZone = activeSite.timeZone;
+
+    // The selected target as a celestial object, for the coordinate readouts in its settings panel
+    const selectedCelestial = useMemo(() => getTargetCelestial(selectedTarget), [selectedTarget]);
+
+    // Convert observer coordinates to decimal degrees
+    const observerLat = getSiteLatitude(activeSite);
+    const observerLon = getSiteLongitude(activeSite);
+
+    const observer = useMemo(
+        () => ({ lat: observerLat, lon: observerLon, elevation: activeSite.elevationM }),
+        [observerLat, observerLon, activeSite.elevationM]
+    );
+
+    // Sunset, sunrise and twilight times for the selected night
+    const twilightTimes = useMemo(
+        () => getTwilightTimes(observationDate, observerLat, observerLon, timeZone),
+        [observationDate, observerLat, observerLon, timeZone]
+    );
+
+    // Astronomical dusk to dawn, or null when the sky never gets fully dark
+    const darkWindow = useMemo(
+        () => getDarkWindow(twilightTimes.astronomical, observationDate, observerLon, timeZone),
+        [twilightTimes, observationDate, observerLon, timeZone]
+    );
+
+    // The planner scans the dark window, or the selected hours when it never gets fully dark
+    const plannerWindow = useMemo(() => {
+        if (darkWindow) return darkWindow;
+        const dates = generateCustomTimeDates(observationDate, startTime, endTime, 60, timeZone);
+        return { start: dates[0], end: dates[dates.length - 1] };
+    }, [darkWindow, observationDate, startTime, endTime, timeZone]);
+
+    // Geometric or refracted (apparent) altitudes, passed through to RaDec2AzEl
+    const altitudeOptions = useMemo(
+        () => ({
+            apparent: coords.apparentAltitude,
+            temperature: coords.temperatureC,
+            pressure: coords.pressureHpa,
+            elevation: activeSite.elevationM
+        }),
+        [coords.apparentAltitude, coords.temperatureC, coords.pressureHpa, activeSite.elevationM]
+    );
+
+    // From a raised site objects rise and set below the astronomical horizon
+    const riseSetAltitude = -getHorizonDip(activeSite.elevationM);
+
+    // Plot overlay layers, remembered across reloads
+    const [overlays, setOverlays] = useLocalStorage('starpath_overlays', {
+        altAzGrid: true,
+        equatorialGrid: false,
+        equator: false,
+        meridian: false,
+        decStep: 15,
+        haStep: 1
+    });
+
+    // Local horizon profile of the site: [{az, alt}] minimum visible altitude by azimuth
+    const horizonProfile = activeSite.horizonProfile;
+
+    // Object name resolver: the offline catalog, then the configured SIMBAD service
+    const [resolverSettings, setResolverSettings] = useLocalStorage('starpath_resolver', {
+        backend: 'sesame',
+        baseUrl: SESAME_BASE_URL,
+        timeoutMs: DEFAULT_TIMEOUT_MS
+    });
+    const resolver = useMemo(() => createResolver(resolverSettings), [resolverSettings]);
+
+    // Objects whose coordinates were used from the search box, most recent first
+    const [recentSearches, setRecentSearches] = useLocalStorage('starpath_recentSearches', []);
+
+    // The minimum useful altitude, shared by the altitude chart and the planner, and the hovered time
+    // shared by the chart and the polar plot
+    const [minAltitude, setMinAltitude] = useLocalStorage('starpath_minAltitude', 30);
+    const [cursorTime, setCursorTime] = useState(null);
+
+    // Time scrubber: an instant within the plotted range, played back or dragged by hand
+    const [scrubTime, setScrubTime] = useState(null);
+
+    // Live mode: the clock ticks and the plot marks where everything is right now
+    const [liveMode, setLiveMode] = useState(false);
+    const [now, setNow] = useState(() => new Date());
+
+    useEffect(() => {
+        if (!liveMode) return;
+        setNow(new Date());
+        const timer = setInterval(() => setNow(new Date()), LIVE_TICK_MS);
+        return () => clearInterval(timer);
+    }, [liveMode]);
+
+    // Declination / hour-angle grid projected onto the observer's sky
+    const equatorialGrid = useMemo(
+        () => generateEquatorialGrid(observerLat, overlays.decStep, overlays.haStep),
+        [observerLat, overlays.decStep, overlays.haStep]
+    );
+
+    // Target list handlers
+    const updateTarget = (id, changes) => {
+        setTargets(previous => previous.map(target => target.id === id ? { ...target, ...changes } : target));
+    };
+
+    const updateSelectedTarget = (changes) => updateTarget(selectedTarget.id, changes);
 
-    // Coordinate change handlers
+    const handleAddTarget = () => {
+        const target = createTarget({ color: nextTargetColor(targets) });
+        setTargets(previous => [...previous, target]);
+        setSelectedTargetId(target.id);
+    };
+
+    const handleRemoveTarget = (id) => {
+        if (targets.length === 1) return; // Always keep one target to edit
+        const remaining = targets.filter(target => target.id !== id);
+        setTargets(remaining);
+        if (id === selectedTarget.id) setSelectedTargetId(remaining[0].id);
+    };
+
+    const handleMoveTarget = (index, direction) => {
+        setTargets(previous => moveTarget(previous, index, direction));
+    };
+
+    // A shared link (see permalink.js) wins over what localStorage restored, once, on load.
+    // Its target and site are reused when already saved, otherwise added; then the parameters
+    // are cleared from the address bar so a reload keeps any changes made since
+    useEffect(() => {
+        const link = parsePermalink(window.location.search);
+        if (!link) return;
+
+        const matches = (a, b) => Math.abs(a - b) < 1e-4;
+
+        if (link.target) {
+            const { name, planet, ra, dec, epoch } = link.target;
+            const existing = targets.find(target => planet
+                ? target.planet === planet
+                : !target.planet && matches(getTargetRaDec(target).ra, ra) && matches(getTargetRaDec(target).dec, dec));
+            if (existing) {
+                setSelectedTargetId(existing.id);
+            } else {
+                const target = createTarget({
+                    name: name || 'Shared Target',
+                    color: nextTargetColor(targets),
+                    ...(planet ? { planet } : { ...raDecToTargetFields(ra, dec), epoch: epoch || 'J2000' })
+                });
+                setTargets(previous => [...previous, target]);
+                setSelectedTargetId(target.id);
+            }
+        }
+
+        // The date and hours are read on the clock of the site the link was made at
+        let linkTimeZone = link.timeZone !== undefined ? link.timeZone : activeSite.timeZone;
+        if (link.site) {
+            const { name, lat, lon, elevation } = link.site;
+            const existing = sites.find(site => matches(getSiteLatitude(site), lat) && matches(getSiteLongitude(site), lon));
+            if (existing) {
+                selectSite(existing.id);
+                if (link.timeZone === undefined) linkTimeZone = existing.timeZone;
+            } else {
+                addSite(name || 'Shared Site', {
+                    ...latLonToSiteFields(lat, lon),
+                    elevationM: elevation !== undefined ? elevation : 0,
+                    timeZone: linkTimeZone,
+                    horizonProfile: []
+                });
+            }
+        }
+
+        if (link.date) setObservationDate(zonedTimeToDate({ ...link.date, hour: 12 }, linkTimeZone));
+        if (link.startTime !== undefined) setStartTime(link.startTime);
+        if (link.endTime !== undefined) setEndTime(link.endTime);
+        if (link.timeWindowMode) setTimeWindowMode(link.timeWindowMode);
+        if (link.stepMinutes) setStepMinutes(link.stepMinutes);
+
+        const { pathname, search, hash } = window.location;
+        window.history.replaceState(null, '', pathname + removePermalinkParameters(search) + hash);
+    }, []);
+
+    // Copy a link to this target, site, night and time window; the link is shown instead
+    // when the clipboard can't be written (insecure page, permission refused)
+    const [linkCopied, setLinkCopied] = useState(false);
+    const [linkText, setLinkText] = useState(null);
+
+    const handleCopyLink = () => {
+        const link = buildPermalink(window.location.origin + window.location.pathname, {
+            target: { ...getTargetRaDec(selectedTarget), name: selectedTarget.name, planet: selectedTarget.planet, epoch: selectedTarget.epoch },
+            site: { name: activeSite.name, lat: observerLat, lon: observerLon, elevation: activeSite.elevationM, timeZone },
+            date: formatZonedDate(observationDate, timeZone),
+            startTime,
+            endTime,
+            timeWindowMode,
+            stepMinutes
+        });
+        const showLink = () => setLinkText(link);
+        if (!navigator.clipboard) {
+            showLink();
+            return;
+        }
+        navigator.clipboard.writeText(link).then(() => {
+            setLinkText(null);
+            setLinkCopied(true);
+        }, showLink);
+    };
+
+    useEffect(() => {
+        if (!linkCopied) return;
+        const timer = setTimeout(() => setLinkCopied(false), 2000);
+        return () => clearTimeout(timer);
+    }, [linkCopied]);
+
+    // Coordinate change handlers (these edit the selected target)
     const handleRaChange = (newValues) => {
-        setCoords.raHours(newValues.primary);
-        setCoords.raMinutes(newValues.secondary);
-        setCoords.raSeconds(newValues.tertiary);
+        updateSelectedTarget({
+            planet: '', // Typed coordinates replace a planet target
+            raHours: newValues.primary,
+            raMinutes: newValues.secondary,
+            raSeconds: newValues.tertiary
+        });
     };
 
     const handleDecChange = (newValues) => {
-        setCoords.decDegrees(newValues.primary);
-        setCoords.decArcminutes(newValues.secondary);
-        setCoords.decArcseconds(newValues.tertiary);
+        updateSelectedTarget({
+            planet: '',
+            decSign: newValues.direction,
+            decDegrees: newValues.primary,
+            decArcminutes: newValues.secondary,
+            decArcseconds: newValues.tertiary
+        });
     };
 
+    // Observer location handlers (these edit the active site)
     const handleLatitudeChange = (newValues) => {
-        setCoords.latDegrees(newValues.primary);
-        setCoords.latArcminutes(newValues.secondary);
-        setCoords.latArcseconds(newValues.tertiary);
-        setCoords.latDirection(newValues.direction);
+        updateActiveSite({
+            latDegrees: newValues.primary,
+            latArcminutes: newValues.secondary,
+            latArcseconds: newValues.tertiary,
+            latDirection: newValues.direction
+        });
     };
 
     const handleLongitudeChange = (newValues) => {
-        setCoords.lonDegrees(newValues.primary);
-        setCoords.lonArcminutes(newValues.secondary);
-        setCoords.lonArcseconds(newValues.tertiary);
-        setCoords.lonDirection(newValues.direction);
+        updateActiveSite({
+            lonDegrees: newValues.primary,
+            lonArcminutes: newValues.secondary,
+            lonArcseconds: newValues.tertiary,
+            lonDirection: newValues.direction
+        });
+    };
+
+    const handleAltitudeOptionsChange = (newOptions) => {
+        setCoords.apparentAltitude(newOptions.apparent);
+        setCoords.temperatureC(newOptions.temperature);
+        setCoords.pressureHpa(newOptions.pressure);
+    };
+
+    const handleMotionChange = (newValues) => {
+        updateSelectedTarget({
+            pmRa: newValues.pmRa,
+            pmDec: newValues.pmDec,
+            parallax: newValues.parallax,
+            radialVelocity: newValues.radialVelocity
+        });
     };
 
     const handleSimbadResult = (searchResult) => {
-        setObjectName(searchResult.name);
+        updateSelectedTarget({
+            name: searchResult.name,
+            epoch: searchResult.epoch || 'J2000', // SIMBAD coordinates are ICRS/J2000
+            pmRa: 0,
+            pmDec: 0,
+            parallax: 0,
+            radialVelocity: 0,
+            ...searchResult.motion
+        });
+    };
+
+    // Load a planner row into the selected target, the same way a search result is used
+    const handlePlannerSelect = (result) => {
+        handleRaChange(angleToFields(result.ra, 'ra'));
+        handleDecChange(angleToFields(result.dec, 'dec'));
+        handleSimbadResult(result);
+    };
+
+    const handleRecentSearch = (searchResult) => {
+        setRecentSearches(previous => [
+            searchResult,
+            ...previous.filter(recent => recent.name !== searchResult.name)
+        ].slice(0, 8));
+    };
+
+    const handlePlanetChange = (planetKey) => {
+        const planet = PLANETS.find(p => p.key === planetKey);
+        updateSelectedTarget(planet ? { planet: planetKey, name: planet.name } : { planet: '' });
     };
 
     // Calculate position data when component mounts or parameters change
     useEffect(() => {
         setLoading(true);
         try {
-            // Convert HMS/DMS to decimal degrees
-            const raDeg = hmsToDeg(coords.raHours, coords.raMinutes, coords.raSeconds);
-            const decDeg = dmsToDeg(
-                Math.abs(coords.decDegrees), 
-                coords.decArcminutes, 
-                coords.decArcseconds
-            ) * (coords.decDegrees < 0 ? -1 : 1);
-
-            // Convert observer coordinates to decimal degrees
-            const observerLat = dmsToDeg(
-                coords.latDegrees, 
-                coords.latArcminutes, 
-                coords.latArcseconds
-            ) * (coords.latDirection === 'S' ? -1 : 1);
-            
-            const observerLon = dmsToDeg(
-                coords.lonDegrees, 
-                coords.lonArcminutes, 
-                coords.lonArcseconds
-            ) * (coords.lonDirection === 'W' ? -1 : 1);
-
             // Custom position calculation function using user's observer coordinates
-            const calculateCustomPosition = (date, celestialObj) =>
-                RaDec2AzEl(celestialObj.ra, celestialObj.dec, observerLat, observerLon, date);
-
-            // Generate custom time range dates and calculate positions for each
-            const dateVec = generateCustomTimeDates(observationDate, startTime, endTime);
-            const currentObject = dateVec.map(date => ({
-                ...calculateCustomPosition(date, { ra: raDeg, dec: decDeg }),
-                time: date.getHours() // Store the hour for labeling
-            }));
+            const calculateCustomPosition = (date, celestialObj) => {
+                const { ra, dec } = resolveCelestial(celestialObj, date);
+                return RaDec2AzEl(ra, dec, observerLat, observerLon, date, altitudeOptions);
+            };
+
+            // Generate the time range dates (fixed hours, or dusk to dawn when dark)
+            const dateVec = timeWindowMode === 'astronomical' && darkWindow
+                ? generateDateRange(darkWindow.start, darkWindow.end, stepMinutes)
+                : generateCustomTimeDates(observationDate, startTime, endTime, stepMinutes, timeZone);
+            const midDate = dateVec[Math.floor(dateVec.length / 2)];
 
             // Calculate Polaris position using custom observer coordinates
             const polarisPosition = calculateCustomPosition(observationDate, polarisCelestial);
 
+            // The Moon seen from the observer's site (topocentric), over the same time range
+            const moonCelestial = (date) => getMoonPosition(date, observerLat, observerLon, activeSite.elevationM);
+            const moonPath = dateVec.map(date => ({
+                ...calculateCustomPosition(date, moonCelestial),
+                time: date
+            }));
+            const moonAtMid = moonCelestial(midDate);
+
+            // Path, rise/transit/set and Moon separation for every target
+            const targetPaths = targets.map(target => {
+                const celestial = getTargetCelestial(target);
+                const events = getRiseTransitSet(
+                    celestial, observationDate, observerLat, observerLon, riseSetAltitude, altitudeOptions, timeZone
+                );
+
+                // Mark the transit on the path only when it happens inside the plotted time range
+                const { transit } = events;
+                const transitPosition = transit && transit >= dateVec[0] && transit <= dateVec[dateVec.length - 1]
+                    ? { ...calculateCustomPosition(transit, celestial), time: transit }
+                    : null;
+
+                return {
+                    id: target.id,
+                    name: target.name,
+                    color: target.color,
+                    points: dateVec.map(date => ({
+                        ...calculateCustomPosition(date, celestial),
+                        time: date // Store the timestamp for labeling
+                    })),
+                    transit: transitPosition,
+                    events,
+                    // Distance from the Moon in the middle of the time range
+                    moonSeparation: getAngularSeparation(resolveCelestial(celestial, midDate), moonAtMid)
+                };
+            });
+
             setPositionData({
-                current: currentObject,
-                polaris: polarisPosition
+                targets: targetPaths,
+                polaris: polarisPosition,
+                moon: moonPath,
+                moonInfo: {
+                    illumination: moonAtMid.illumination,
+                    waxing: moonAtMid.waxing
+                }
             });
         } catch (error) {
             console.error('Error calculating positions:', error);
@@ -126,14 +484,114 @@ function App() {
             setLoading(false);
         }
     }, [
-        coords.raHours, coords.raMinutes, coords.raSeconds,
-        coords.decDegrees, coords.decArcminutes, coords.decArcseconds,
-        coords.latDegrees, coords.latArcminutes, coords.latArcseconds, coords.latDirection,
-        coords.lonDegrees, coords.lonArcminutes, coords.lonArcseconds, coords.lonDirection,
-        observationDate, startTime, endTime
+        targets,
+        observerLat, observerLon, activeSite.elevationM, altitudeOptions, riseSetAltitude,
+        observationDate, startTime, endTime, stepMinutes, timeWindowMode, darkWindow, timeZone
     ]);
 
-    const currentObjectData = positionData?.current;
+    const targetPaths = positionData?.targets;
+
+    // Flag the selected target's path so the plot can highlight it and label its times
+    const plotPaths = useMemo(
+        () => (targetPaths || []).map(path => ({ ...path, selected: path.id === selectedTarget.id })),
+        [targetPaths, selectedTarget.id]
+    );
+
+    // The time range the paths cover, for the scrubber
+    const pathTimeRange = useMemo(() => {
+        const points = targetPaths?.[0]?.points;
+        return points && points.length > 0
+            ? { start: points[0].time, end: points[points.length - 1].time }
+            : null;
+    }, [targetPaths]);
+
+    // Hovering the altitude chart takes over from the scrubber until the mouse leaves
+    const highlightTime = cursorTime || scrubTime;
+
+    // Az, alt, hour angle and airmass of every target at the scrubbed instant
+    const scrubReadouts = useMemo(() => {
+        if (!pathTimeRange) return [];
+        const time = scrubTime && scrubTime >= pathTimeRange.start && scrubTime <= pathTimeRange.end
+            ? scrubTime
+            : pathTimeRange.start;
+        return targets.map(target => {
+            const { ra, dec } = resolveCelestial(getTargetCelestial(target), time);
+            const { az, el } = RaDec2AzEl(ra, dec, observerLat, observerLon, time, altitudeOptions);
+            return {
+                id: target.id,
+                name: target.name,
+                color: target.color,
+                az,
+                el,
+                hourAngle: getHourAngle(ra, observerLon, time),
+                airmass: getAirmass(el)
+            };
+        });
+    }, [pathTimeRange, scrubTime, targets, observerLat, observerLon, altitudeOptions]);
+
+    // Live markers for every target, the Moon and Polaris, each with a trail over the past hour
+    const liveMarkers = useMemo(() => {
+        if (!liveMode) return [];
+
+        const positionAt = (celestialObj, date) => {
+            const { ra, dec } = resolveCelestial(celestialObj, date);
+            return RaDec2AzEl(ra, dec, observerLat, observerLon, date, altitudeOptions);
+        };
+        const trailTimes = [];
+        for (let m = LIVE_TRAIL_MINUTES; m >= 0; m -= LIVE_TRAIL_STEP_MINUTES) {
+            trailTimes.push(new Date(now.getTime() - m * 60000));
+        }
+        const track = (id, color, celestialObj, selected = false) => ({
+            id,
+            color,
+            selected,
+            ...positionAt(celestialObj, now),
+            trail: trailTimes.map(date => positionAt(celestialObj, date))
+        });
+
+        const moonCelestial = (date) => getMoonPosition(date, observerLat, observerLon, activeSite.elevationM);
+        return [
+            ...targets.map(target =>
+                track(target.id, target.color, getTargetCelestial(target), target.id === selectedTarget.id)),
+            track('moon', '#aaccff', moonCelestial),
+            track('polaris', '#ffdd44', polarisCelestial)
+        ];
+    }, [liveMode, now, targets, selectedTarget.id, observerLat, observerLon, activeSite.elevationM, altitudeOptions]);
+
+    // Upcoming rise, transit and set of the selected target, for the live countdown
+    const liveEvents = useMemo(
+        () => liveMode
+            ? getNextRiseTransitSet(selectedCelestial, now, observerLat, observerLon, riseSetAltitude, altitudeOptions)
+            : null,
+        [liveMode, now, selectedCelestial, observerLat, observerLon, riseSetAltitude, altitudeOptions]
+    );
+    const liveSelected = liveMarkers.find(marker => marker.id === selectedTarget.id);
+
+    // Live positions are drawn against tonight's paths, so switching it on jumps back to today
+    const handleLiveModeChange = (enabled) => {
+        if (enabled) setObservationDate(new Date());
+        setLiveMode(enabled);
+    };
+
+    // Format an event time for the target summary panel, on the site's clock and in UTC
+    const formatEventTime = (time) =>
+        time ? `${formatZonedTime(time, timeZone)} (${formatUtcTime(time)})` : '—';
+
+    // Time left until an event, as "2h 05m" or "4m 10s"
+    const formatCountdown = (time) => {
+        if (!time) return '—';
+        const seconds = Math.max(0, Math.round((time.getTime() - now.getTime()) / 1000));
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const pad = (n) => n.toString().padStart(2, '0');
+        return h > 0 ? `${h}h ${pad(m)}m` : `${m}m ${pad(seconds % 60)}s`;
+    };
+
+    const targetStateLabels = {
+        normal: 'Rises and sets',
+        circumpolar: 'Circumpolar (never sets)',
+        neverRises: 'Never rises'
+    };
 
     return (
         <div className="App">
@@ -164,6 +622,17 @@ function App() {
                         Starpath
                     </h1>
 
+                    {/* Target List */}
+                    <TargetList
+                        targets={targets}
+                        selectedTargetId={selectedTarget.id}
+                        onSelect={setSelectedTargetId}
+                        onAdd={handleAddTarget}
+                        onRemove={handleRemoveTarget}
+                        onMove={handleMoveTarget}
+                        onUpdate={updateTarget}
+                    />
+
                     {/* Settings Section */}
                     <div style={{
                         display: 'grid',
@@ -173,43 +642,87 @@ function App() {
                     }}>
                         {/* Astronomical Object Settings */}
                         <AstronomicalObjectSettings
+                            targetName={selectedTarget.name}
                             raCoordinates={{
-                                primary: coords.raHours,
-                                secondary: coords.raMinutes,
-                                tertiary: coords.raSeconds
+                                primary: selectedTarget.raHours,
+                                secondary: selectedTarget.raMinutes,
+                                tertiary: selectedTarget.raSeconds
                             }}
                             decCoordinates={{
-                                primary: coords.decDegrees,
-                                secondary: coords.decArcminutes,
-                                tertiary: coords.decArcseconds
+                                direction: getTargetDecSign(selectedTarget),
+                                primary: Math.abs(selectedTarget.decDegrees),
+                                secondary: selectedTarget.decArcminutes,
+                                tertiary: selectedTarget.decArcseconds
                             }}
                             onRaChange={handleRaChange}
                             onDecChange={handleDecChange}
                             onSimbadResult={handleSimbadResult}
+                            resolver={resolver}
+                            resolverSettings={resolverSettings}
+                            onResolverSettingsChange={setResolverSettings}
+                            observer={observer}
+                            recentSearches={recentSearches}
+                            onRecentSearch={handleRecentSearch}
+                            epoch={selectedTarget.epoch}
+                            onEpochChange={(epoch) => updateSelectedTarget({ epoch })}
+                            motion={{
+                                pmRa: selectedTarget.pmRa,
+                                pmDec: selectedTarget.pmDec,
+                                parallax: selectedTarget.parallax,
+                                radialVelocity: selectedTarget.radialVelocity
+                            }}
+                            onMotionChange={handleMotionChange}
+                            propagatedPosition={selectedTarget.planet ? null : {
+                                mean: propagateSpaceMotion(selectedCelestial, observationDate, selectedTarget.epoch),
+                                apparent: resolveCelestial(selectedCelestial, observationDate)
+                            }}
+                            selectedPlanet={selectedTarget.planet}
+                            planetPosition={selectedTarget.planet ? resolveCelestial(selectedCelestial, observationDate) : null}
+                            onPlanetChange={handlePlanetChange}
                         />
 
                         {/* Observer Settings */}
                         <ObserverSettings
+                            sites={sites}
+                            activeSiteId={activeSite.id}
                             latitudeCoordinates={{
-                                primary: coords.latDegrees,
-                                secondary: coords.latArcminutes,
-                                tertiary: coords.latArcseconds,
-                                direction: coords.latDirection
+                                primary: activeSite.latDegrees,
+                                secondary: activeSite.latArcminutes,
+                                tertiary: activeSite.latArcseconds,
+                                direction: activeSite.latDirection
                             }}
                             longitudeCoordinates={{
-                                primary: coords.lonDegrees,
-                                secondary: coords.lonArcminutes,
-                                tertiary: coords.lonArcseconds,
-                                direction: coords.lonDirection
+                                primary: activeSite.lonDegrees,
+                                secondary: activeSite.lonArcminutes,
+                                tertiary: activeSite.lonArcseconds,
+                                direction: activeSite.lonDirection
                             }}
+                            elevation={activeSite.elevationM}
                             observationDate={observationDate}
+                            timeZone={timeZone}
                             startTime={startTime}
                             endTime={endTime}
+                            stepMinutes={stepMinutes}
+                            timeWindowMode={timeWindowMode}
+                            twilightTimes={twilightTimes}
+                            altitudeOptions={altitudeOptions}
+                            horizonProfile={horizonProfile}
+                            darkWindow={darkWindow}
+                            onSiteSelect={selectSite}
+                            onSiteAdd={addSite}
+                            onSiteRename={renameSite}
+                            onSiteRemove={removeSite}
                             onLatitudeChange={handleLatitudeChange}
                             onLongitudeChange={handleLongitudeChange}
+                            onElevationChange={(elevationM) => updateActiveSite({ elevationM })}
                             onDateChange={setObservationDate}
+                            onTimeZoneChange={(zone) => updateActiveSite({ timeZone: zone })}
                             onStartTimeChange={setStartTime}
                             onEndTimeChange={setEndTime}
+                            onStepMinutesChange={setStepMinutes}
+                            onTimeWindowModeChange={setTimeWindowMode}
+                            onAltitudeOptionsChange={handleAltitudeOptionsChange}
+                            onHorizonChange={(profile) => updateActiveSite({ horizonProfile: profile })}
                         />
                     </div>
 
@@ -228,6 +741,67 @@ function App() {
                             Sky Path Visualization
                         </h2>
                         
+                        <OverlayControls overlays={overlays} onChange={setOverlays} />
+
+                        <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
+                            <button
+                                onClick={() => handleLiveModeChange(!liveMode)}
+                                style={{
+                                    padding: '0.5rem 1rem',
+                                    borderRadius: '4px',
+                                    border: '2px solid #44dd88',
+                                    backgroundColor: liveMode ? '#44dd88' : 'transparent',
+                                    color: liveMode ? '#0a0e1a' : '#44dd88',
+                                    fontSize: '0.9rem',
+                                    fontWeight: 'bold',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                {liveMode ? '● Live — click to stop' : '○ Go live'}
+                            </button>
+                            <button
+                                onClick={handleCopyLink}
+                                title="Copy a link to this target, site, date and time window"
+                                style={{
+                                    marginLeft: '0.5rem',
+                                    padding: '0.5rem 1rem',
+                                    borderRadius: '4px',
+                                    border: '2px solid #4A9EFF',
+                                    backgroundColor: linkCopied ? '#4A9EFF' : 'transparent',
+                                    color: linkCopied ? '#0a0e1a' : '#4A9EFF',
+                                    fontSize: '0.9rem',
+                                    fontWeight: 'bold',
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                {linkCopied ? '✓ Link copied' : '🔗 Copy link'}
+                            </button>
+                            {linkText && (
+                                <div style={{ marginTop: '0.5rem' }}>
+                                    <input
+                                        type="text"
+                                        readOnly
+                                        value={linkText}
+                                        onFocus={(e) => e.target.select()}
+                                        autoFocus
+                                        style={{
+                                            width: '100%',
+                                            maxWidth: '640px',
+                                            padding: '0.4rem',
+                                            borderRadius: '4px',
+                                            border: '2px solid #555',
+                                            backgroundColor: '#2a2a2a',
+                                            color: '#ffffff',
+                                            fontSize: '0.85rem'
+                                        }}
+                                    />
+                                    <div style={{ color: '#cccccc', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                                        Couldn't reach the clipboard: copy the link above by hand
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
                         {loading ? (
                             <div style={{
                                 color: '#cccccc',
@@ -236,13 +810,110 @@ function App() {
                             }}>
                                 Calculating celestial positions...
                             </div>
-                        ) : currentObjectData ? (
-                            <PolarPlot
-                                positionData={currentObjectData}
-                                polarisPosition={positionData?.polaris}
-                                width={1024}
-                                height={640}
-                            />
+                        ) : targetPaths ? (
+                            <div style={{
+                                display: 'flex',
+                                flexWrap: 'wrap',
+                                justifyContent: 'center',
+                                alignItems: 'flex-start',
+                                gap: '1.5rem'
+                            }}>
+                                <PolarPlot
+                                    targetPaths={plotPaths}
+                                    polarisPosition={positionData?.polaris}
+                                    moonPositionData={positionData?.moon}
+                                    overlays={overlays}
+                                    equatorialGrid={equatorialGrid}
+                                    horizonProfile={horizonProfile}
+                                    cursorTime={highlightTime}
+                                    liveMarkers={liveMarkers}
+                                    timeZone={timeZone}
+                                    width={1024}
+                                    height={640}
+                                />
+
+                                {/* Rise / Transit / Set for every target */}
+                                <div style={{
+                                    minWidth: '220px',
+                                    padding: '1rem',
+                                    background: 'rgba(68, 85, 119, 0.4)',
+                                    borderRadius: '8px',
+                                    textAlign: 'left',
+                                    color: '#cccccc',
+                                    lineHeight: '1.8'
+                                }}>
+                                    {liveMode && (
+                                        <div style={{ marginBottom: '1rem' }}>
+                                            <h3 style={{ color: '#44dd88', marginBottom: '0.5rem' }}>
+                                                Live · {formatZonedTime(now, timeZone)}
+                                            </h3>
+                                            <div>{formatUtcTime(now)}</div>
+                                            {liveSelected && (
+                                                <div>
+                                                    {selectedTarget.name}: alt {liveSelected.el.toFixed(1)}°,
+                                                    az {liveSelected.az.toFixed(1)}°
+                                                </div>
+                                            )}
+                                            {/* Up or down against the same dipped horizon the rise and set times use */}
+                                            {liveEvents && liveEvents.state === 'normal' && liveSelected && (
+                                                liveSelected.el >= riseSetAltitude
+                                                    ? <div>{liveEvents.set ? `Sets in ${formatCountdown(liveEvents.set)}` : 'No set within 24 h'}</div>
+                                                    : <div>{liveEvents.rise ? `Rises in ${formatCountdown(liveEvents.rise)}` : 'No rise within 24 h'}</div>
+                                            )}
+                                            {liveEvents && (
+                                                <div>Transit in {formatCountdown(liveEvents.transit)}</div>
+                                            )}
+                                        </div>
+                                    )}
+                                    {targetPaths.map(({ id, name, color, events, moonSeparation }) => (
+                                        <div key={id} style={{ marginBottom: '1rem' }}>
+                                            <h3 style={{ color, marginBottom: '0.5rem' }}>{name}</h3>
+                                            <div>{targetStateLabels[events.state]}</div>
+                                            <div>Rise: {formatEventTime(events.rise)}</div>
+                                            <div>Transit: {formatEventTime(events.transit)}</div>
+                                            <div>
+                                                Transit altitude:{' '}
+                                                {events.transitAltitude !== null ? `${events.transitAltitude.toFixed(1)}°` : '—'}
+                                            </div>
+                                            <div>Set: {formatEventTime(events.set)}</div>
+                                            <div>Moon separation: {moonSeparation.toFixed(1)}°</div>
+                                        </div>
+                                    ))}
+                                    {positionData.moonInfo && (
+                                        <>
+                                            <h3 style={{ color: '#aaccff', margin: '1rem 0 0.5rem 0' }}>Moon</h3>
+                                            <div>
+                                                {Math.round(positionData.moonInfo.illumination * 100)}% illuminated,{' '}
+                                                {positionData.moonInfo.waxing ? 'waxing' : 'waning'}
+                                            </div>
+                                        </>
+                                    )}
+                                </div>
+
+                                {pathTimeRange && (
+                                    <TimeScrubber
+                                        timeRange={pathTimeRange}
+                                        time={scrubTime}
+                                        onTimeChange={setScrubTime}
+                                        stepMinutes={stepMinutes}
+                                        readouts={scrubReadouts}
+                                        timeZone={timeZone}
+                                    />
+                                )}
+
+                                <AltitudeChart
+                                    targetPaths={plotPaths}
+                                    observer={observer}
+                                    minAltitude={minAltitude}
+                                    onMinAltitudeChange={setMinAltitude}
+                                    cursorTime={highlightTime}
+                                    onCursorChange={setCursorTime}
+                                    now={liveMode ? now : null}
+                                    timeZone={timeZone}
+                                    width={1024}
+                                    height={280}
+                                />
+                            </div>
                         ) : (
                             <div style={{
                                 color: '#ff6666',
@@ -254,6 +925,17 @@ function App() {
                         )}
                     </div>
 
+                    {/* What's Up Tonight */}
+                    <TonightPlanner
+                        observer={observer}
+                        sessionWindow={plannerWindow}
+                        windowLabel={darkWindow ? 'astronomical darkness' : 'selected hours'}
+                        timeZone={timeZone}
+                        minAltitude={minAltitude}
+                        onMinAltitudeChange={setMinAltitude}
+                        onSelect={handlePlannerSelect}
+                    />
+
                     {/* Help Section */}
                     <div style={{
                         marginTop: '2rem',
@@ -270,10 +952,89 @@ function App() {
                             margin: '0 auto'
                         }}>
                             <div>
-                                <h3 style={{ color: '#ff4444', marginBottom: '0.5rem' }}>Red Line & Labels</h3>
+                                <h3 style={{ color: '#ff4444', marginBottom: '0.5rem' }}>Target Lines & Legend</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Each target in the list is drawn in its own color during the specified time range,
+                                    with a legend in the corner. Dots mark the start and end of every path;
+                                    time labels are shown for the selected target.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#ff4444', marginBottom: '0.5rem' }}>Transit Diamond</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Marks where the object crosses the meridian at its highest altitude,
+                                    when that happens during the time range. Rise, transit and set times are listed beside the plot.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#aaccff', marginBottom: '0.5rem' }}>Dashed Blue Line</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Shows the path of the Moon over the same time range. Its phase and its
+                                    distance from the target (mid-range) are listed beside the plot.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#66bb88', marginBottom: '0.5rem' }}>Equatorial Overlay</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Optional lines of constant declination and hour angle, the celestial equator
+                                    and the meridian, as an equatorial mount sees the sky. Toggle them above the plot.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#ffdd44', marginBottom: '0.5rem' }}>Altitude Chart</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Altitude of every target against time, over bands for daylight and civil, nautical and
+                                    astronomical twilight. Hover it to read each target's altitude; the same moment is
+                                    highlighted on the sky plot.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#ffdd44', marginBottom: '0.5rem' }}>Time Scrubber</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Drag the slider, step or press play to move a marker along every path, the Moon's
+                                    included. The table gives each target's azimuth, altitude, hour angle and airmass
+                                    at that moment.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#44dd88', marginBottom: '0.5rem' }}>Live Mode</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    "Go live" jumps to tonight and marks where every target, the Moon and Polaris are right now,
+                                    updated every few seconds with a trail over the past hour, plus a countdown to the
+                                    selected target's next transit and rise or set.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#4A9EFF', marginBottom: '0.5rem' }}>Sharing a Plot</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    "Copy link" puts the selected target, the site, the date, the time window and the
+                                    sampling step in a link.
+                                    Opening it selects that target and site, adding them to your lists if they're new,
+                                    ahead of your own saved settings.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#ffdd44', marginBottom: '0.5rem' }}>What's Up Tonight</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Ranks catalog objects by how long they stay above a minimum altitude during the
+                                    dark part of the night. Filter by type, magnitude or constellation, sort by any column,
+                                    and click a row to load it as the selected target.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#ffdd44', marginBottom: '0.5rem' }}>Observing Site</h3>
+                                <p style={{ color: '#cccccc', margin: 0 }}>
+                                    Pick a city or observatory by name (no connection needed), use your device's location,
+                                    or type the latitude and longitude as DMS or decimal degrees. The elevation refines
+                                    refraction and the rise and set times. Save each place you observe from as a site,
+                                    with its own time zone and horizon, and switch between them from the site menu.
+                                </p>
+                            </div>
+                            <div>
+                                <h3 style={{ color: '#aa8866', marginBottom: '0.5rem' }}>Shaded Horizon</h3>
                                 <p style={{ color: '#cccccc', margin: 0 }}>
-                                    Shows the path of the celestial object during the specified time range.
-                                    Red dots and labels mark the start and end times of the observation period.
+                                    Sky hidden by your local horizon (Observer Settings → Local Horizon).
+                                    The path turns dashed while the object is behind it.
                                 </p>
                             </div>
                             <div>
@@ -8,8 +8,13 @@ Key concepts:
 - Azimuth & Elevation: Local sky coordinates from observer's perspective
 - Julian Date: Astronomical time standard for calculations
 - Sidereal Time: Time based on Earth's rotation relative to distant stars
+
+Helpers that work with times of day or calendar dates take an optional timeZone, the observing
+site's IANA zone or UTC offset (see timezone.js); left out, they use the browser's zone.
 */
 
+import { getZonedParts, zonedTimeToDate } from './timezone.js';
+
 // Convert JavaScript Date object to Julian Date (astronomical time standard)
 // Julian Date is days since noon on January 1, 4713 BCE (used in astronomy)
 // Source: http://stackoverflow.com/a/11760079/500207
@@ -19,8 +24,34 @@ export const getJulian = (date) => date.getTime() / 86400000 + 2440587.5;
 export const sind = (deg) => Math.sin(deg * Math.PI / 180);    // sine of degrees
 export const cosd = (deg) => Math.cos(deg * Math.PI / 180);    // cosine of degrees  
 export const asind = (x) => Math.asin(x) * 180 / Math.PI;      // arcsine returning degrees
+export const atan2d = (y, x) => Math.atan2(y, x) * 180 / Math.PI; // two-argument arctangent returning degrees
 export const mod = (a, b) => a % b;                            // modulo operation
 
+// Wrap an angle into the 0-360° range (unlike mod(), this also handles negative angles)
+export const normalizeDegrees = (deg) => ((deg % 360) + 360) % 360;
+
+// Julian centuries since the J2000.0 epoch (Jan 1, 2000, noon UTC), the time argument of most series below
+export const getJulianCenturies = (date) => (getJulian(date) - 2451545) / 36525;
+
+// Greenwich Mean Sidereal Time in degrees (0-360) for a given date
+// Sidereal time tracks Earth's rotation relative to distant stars
+export const getGreenwichSiderealTime = (dateObj) => {
+  // Calculate time in centuries since J2000.0 epoch (Jan 1, 2000, noon UTC)
+  const T_UT1 = (getJulian(dateObj) - 2451545) / 36525;
+
+  // Calculate Greenwich Mean Sidereal Time (GMST) in seconds using polynomial formula
+  const ThetaGMST = 67310.54841 + (876600 * 3600 + 8640184.812866) * T_UT1 +
+                    0.093104 * Math.pow(T_UT1, 2) - 6.2e-6 * Math.pow(T_UT1, 3);
+
+  // Normalize GMST to 0-360 degrees
+  return mod(
+      (mod(ThetaGMST, 86400 * (ThetaGMST / Math.abs(ThetaGMST))) / 240), 360);
+};
+
+// Local Hour Angle in degrees, wrapped to -180..180 (negative = east of the meridian, still rising)
+export const getHourAngle = (Ra, lon, dateObj) =>
+    normalizeDegrees(getGreenwichSiderealTime(dateObj) + lon - Ra + 180) - 180;
+
 /*
 Convert celestial coordinates (RA/Dec) to local sky coordinates (Azimuth/Elevation)
 This is the core function that tells us where in the sky an object appears
@@ -32,6 +63,11 @@ Parameters:
   lat: Observer's latitude in degrees
   lon: Observer's longitude in degrees (positive = East)
   dateObj: JavaScript Date object for the observation time
+  options: optional {apparent, temperature, pressure, elevation}
+  - apparent: true to return the refracted (apparent) elevation instead of the geometric one
+  - temperature: air temperature in °C for the refraction model (default 10)
+  - pressure: sea-level air pressure in hPa/millibars for the refraction model (default 1010)
+  - elevation: site elevation in meters; the pressure is reduced to it (default 0)
 
 Returns:
   {az: azimuth_degrees, el: elevation_degrees}
@@ -40,21 +76,9 @@ Returns:
 
 Source: http://www.mathworks.com/matlabcentral/fileexchange/26458
 */
-export function RaDec2AzEl(Ra, Dec, lat, lon, dateObj) {
-  // Convert observation time to Julian Date
-  const JD = getJulian(dateObj);
-  
-  // Calculate time in centuries since J2000.0 epoch (Jan 1, 2000, noon UTC)
-  const T_UT1 = (JD - 2451545) / 36525;
-  
-  // Calculate Greenwich Mean Sidereal Time (GMST) using polynomial formula
-  // Sidereal time tracks Earth's rotation relative to distant stars
-  let ThetaGMST = 67310.54841 + (876600 * 3600 + 8640184.812866) * T_UT1 +
-                  0.093104 * Math.pow(T_UT1, 2) - 6.2e-6 * Math.pow(T_UT1, 3);
-  
-  // Normalize GMST to 0-360 degrees
-  ThetaGMST = mod(
-      (mod(ThetaGMST, 86400 * (ThetaGMST / Math.abs(ThetaGMST))) / 240), 360);
+export function RaDec2AzEl(Ra, Dec, lat, lon, dateObj, options = {}) {
+  // Greenwich Mean Sidereal Time for the observation time
+  const ThetaGMST = getGreenwichSiderealTime(dateObj);
   
   // Calculate Local Sidereal Time by adding observer's longitude
   const ThetaLST = ThetaGMST + lon;
@@ -62,21 +86,102 @@ export function RaDec2AzEl(Ra, Dec, lat, lon, dateObj) {
   // Calculate Local Hour Angle: how far the object has moved from local meridian
   const LHA = mod(ThetaLST - Ra, 360);
 
+  const { az : Az, el : El } = HaDec2AzEl(LHA, Dec, lat);
+  
+  if (options.apparent) {
+    const pressure = getPressureAtElevation(options.pressure, options.elevation);
+    return {az : Az, el : El + getRefraction(El, options.temperature, pressure)};
+  }
+  return {az : Az, el : El};
+}
+
+/*
+Convert hour angle and declination to azimuth/elevation for an observer's latitude.
+Unlike RA, hour angle is measured from the local meridian, so this needs no time or longitude:
+the core spherical-trigonometry step of RaDec2AzEl(), also used to draw equatorial grids.
+
+Parameters:
+  HA: Local Hour Angle in degrees (0° = on the meridian, positive = west of it)
+  Dec: Declination in degrees
+  lat: Observer's latitude in degrees
+
+Returns:
+  {az: azimuth_degrees, el: elevation_degrees}
+*/
+export function HaDec2AzEl(HA, Dec, lat) {
   // Calculate elevation using spherical trigonometry
   // This gives the angle above the horizon
-  const El = asind(sind(lat)*sind(Dec) + cosd(lat)*cosd(Dec)*cosd(LHA));
+  const El = asind(sind(lat)*sind(Dec) + cosd(lat)*cosd(Dec)*cosd(HA));
 
   // Calculate azimuth using spherical trigonometry  
   // This gives the compass direction (0°=North, clockwise)
   const Az = mod(
-      Math.atan2(-sind(LHA) * cosd(Dec) / cosd(El),
+      Math.atan2(-sind(HA) * cosd(Dec) / cosd(El),
                  (sind(Dec) - sind(El) * sind(lat)) / (cosd(El) * cosd(lat))) *
           (180 / Math.PI),
       360);
-  
+
   return {az : Az, el : El};
 }
 
+/*
+Convert local sky coordinates (Azimuth/Elevation) back to celestial coordinates (RA/Dec):
+the inverse of RaDec2AzEl() (geometric elevation, no refraction).
+
+Returns:
+  {ra, dec, ha} in degrees; ha is the Local Hour Angle wrapped to -180..180
+*/
+export function AzEl2RaDec(Az, El, lat, lon, dateObj) {
+  const Dec = asind(sind(El) * sind(lat) + cosd(El) * cosd(lat) * cosd(Az));
+  const HA = atan2d(-sind(Az) * cosd(El), sind(El) * cosd(lat) - cosd(El) * sind(lat) * cosd(Az));
+  const LST = getGreenwichSiderealTime(dateObj) + lon;
+  return {ra : normalizeDegrees(LST - HA), dec : Dec, ha : HA};
+}
+
+/*
+ATMOSPHERIC REFRACTION
+The atmosphere bends light so objects appear higher than they geometrically are,
+by about 0.5° at the horizon and under an arcminute above 45°.
+Formulas from Meeus, "Astronomical Algorithms" (2nd ed.), chapter 16.
+*/
+
+// Scale factor for non-standard weather (the formulas assume 10°C and 1010 hPa)
+const refractionWeatherFactor = (temperature = 10, pressure = 1010) =>
+  (pressure / 1010) * (283 / (273 + temperature));
+
+// Refraction in degrees for a geometric (true) altitude, Saemundsson's formula (Meeus 16.4)
+// Not applied more than a degree below the horizon, where the formula is meaningless
+export const getRefraction = (trueAltitude, temperature, pressure) => {
+  if (trueAltitude < -1) return 0;
+  const arcminutes = 1.02 / Math.tan((trueAltitude + 10.3 / (trueAltitude + 5.11)) * Math.PI / 180);
+  return arcminutes / 60 * refractionWeatherFactor(temperature, pressure);
+};
+
+// Geometric (true) altitude for an observed (apparent) altitude, Bennett's formula (Meeus 16.3)
+export const getTrueAltitude = (apparentAltitude, temperature, pressure) => {
+  if (apparentAltitude < -1) return apparentAltitude;
+  const arcminutes = 1 / Math.tan((apparentAltitude + 7.31 / (apparentAltitude + 4.4)) * Math.PI / 180);
+  return apparentAltitude - arcminutes / 60 * refractionWeatherFactor(temperature, pressure);
+};
+
+// Air pressure in hPa at an elevation in meters, from the sea-level pressure (standard atmosphere):
+// about 11% lower at 1000 m, and 40% lower on Mauna Kea
+export const getPressureAtElevation = (seaLevelPressure = 1010, elevation = 0) =>
+  seaLevelPressure * Math.pow(1 - 2.25577e-5 * Math.max(elevation, 0), 5.25588);
+
+// Dip of the horizon in degrees for an observer 'elevation' meters above the surrounding
+// terrain or sea: objects rise and set this far below the astronomical horizon.
+// 1.76' × √h is the navigators' rule, which includes refraction along the grazing line of sight
+export const getHorizonDip = (elevation = 0) =>
+  elevation > 0 ? 1.76 * Math.sqrt(elevation) / 60 : 0;
+
+// Airmass (1 at the zenith, about 2 at 30°, 38 at the horizon) for an altitude in degrees,
+// Kasten & Young (1989); null below the horizon
+export const getAirmass = (altitude) => {
+  if (altitude < 0) return null;
+  return 1 / (sind(altitude) + 0.50572 * Math.pow(altitude + 6.07995, -1.6364));
+};
+
 // Convert Hours:Minutes:Seconds to decimal degrees
 // Used for Right Ascension (multiply by 15 because 24h = 360°, so 1h = 15°)
 export const hmsToDeg = (h, m, s) => (h + m / 60 + s / 3600) * (15 / 1);
@@ -85,26 +190,470 @@ export const hmsToDeg = (h, m, s) => (h + m / 60 + s / 3600) * (15 / 1);
 // Used for Declination and Earth coordinates (latitude/longitude)
 export const dmsToDeg = (d, m, s) => d + m / 60 + s / 3600;
 
-// Define celestial coordinates for objects of interest
+// Convert decimal degrees to Hours:Minutes:Seconds (inverse of hmsToDeg)
+export const degToHms = (deg) => {
+    const hours = normalizeDegrees(deg) / 15;
+    const h = Math.floor(hours);
+    const m = Math.floor((hours - h) * 60);
+    return { h, m, s: ((hours - h) * 60 - m) * 60 };
+};
 
-// The Sun's position (changes throughout the year, this is one specific time)
-export const solCelestial = {
-  ra : hmsToDeg(13, 42, 32.13),    // Right Ascension: 13h 42m 32.13s
-  dec : dmsToDeg(-10, 59, 55.2)    // Declination: -10° 59' 55.2"
+// Convert decimal degrees to Degrees:Minutes:Seconds (inverse of dmsToDeg)
+// The sign is returned separately so that e.g. -0° 30' is not lost
+export const degToDms = (deg) => {
+    const abs = Math.abs(deg);
+    const d = Math.floor(abs);
+    const m = Math.floor((abs - d) * 60);
+    return { sign: deg < 0 ? -1 : 1, d, m, s: ((abs - d) * 60 - m) * 60 };
 };
 
-// The Fireworks Nebula (NGC 6302) - a beautiful planetary nebula in Scorpius
+/*
+SOLAR EPHEMERIS
+Low-precision model of the Sun from Meeus, "Astronomical Algorithms" (2nd ed.), chapters 22, 25 and 28.
+Good to about 0.01° (under an arcminute) for dates within a few centuries of J2000.
+*/
+
+// Mean obliquity of the ecliptic (tilt of Earth's axis) in degrees, Meeus eq. 22.2
+export const getMeanObliquity = (date) => {
+  const T = getJulianCenturies(date);
+  const seconds = 21.448 - 46.8150 * T - 0.00059 * T * T + 0.001813 * T * T * T;
+  return 23 + 26 / 60 + seconds / 3600;
+};
+
+// Geometric elements of the Sun's apparent orbit, shared by getSunPosition() and getEquationOfTime()
+const getSolarElements = (date) => {
+  const T = getJulianCenturies(date);
+
+  // Geometric mean longitude and mean anomaly of the Sun
+  const L0 = normalizeDegrees(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+  const M = normalizeDegrees(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+
+  // Eccentricity of Earth's orbit
+  const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+
+  // Equation of center: correction from mean to true anomaly
+  const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * sind(M) +
+            (0.019993 - 0.000101 * T) * sind(2 * M) +
+            0.000289 * sind(3 * M);
+
+  // Earth-Sun distance in AU from the true anomaly (M + C)
+  const R = 1.000001018 * (1 - e * e) / (1 + e * cosd(M + C));
+
+  // Longitude of the Moon's ascending node, drives the dominant nutation term
+  const omega = 125.04 - 1934.136 * T;
+
+  // Apparent longitude: true longitude corrected for nutation and aberration
+  const lambda = L0 + C - 0.00569 - 0.00478 * sind(omega);
+
+  // True obliquity: mean obliquity corrected for nutation
+  const epsilon = getMeanObliquity(date) + 0.00256 * cosd(omega);
+
+  return { L0, M, e, R, lambda, epsilon };
+};
+
+// Convert ecliptic longitude/latitude to equatorial RA/Dec (all in degrees), Meeus eqs. 13.3 and 13.4
+export const eclipticToEquatorial = (lambda, beta, epsilon) => ({
+  ra : normalizeDegrees(atan2d(sind(lambda) * cosd(epsilon) - Math.tan(beta * Math.PI / 180) * sind(epsilon),
+                               cosd(lambda))),
+  dec : asind(sind(beta) * cosd(epsilon) + cosd(beta) * sind(epsilon) * sind(lambda))
+});
+
+/*
+Apparent geocentric position of the Sun for a given date
+
+Parameters:
+  date: JavaScript Date object
+
+Returns:
+  {ra: right_ascension_degrees, dec: declination_degrees, distance: AU}
+  - Apparent (of-date) coordinates, the same form as the fixed catalog objects below
+*/
+export const getSunPosition = (date) => {
+  const { R, lambda, epsilon } = getSolarElements(date);
+  return {
+    ...eclipticToEquatorial(lambda, 0, epsilon),
+    distance : R
+  };
+};
+
+// Equation of time in minutes (apparent solar time minus mean solar time), Meeus eq. 28.3
+// Positive values mean a sundial runs ahead of the clock
+export const getEquationOfTime = (date) => {
+  const { L0, M, e, epsilon } = getSolarElements(date);
+  const y = Math.pow(Math.tan(epsilon * Math.PI / 360), 2);
+  const E = y * sind(2 * L0) - 2 * e * sind(M) + 4 * e * y * sind(M) * cosd(2 * L0) -
+            0.5 * y * y * sind(4 * L0) - 1.25 * e * e * sind(2 * M);
+  return E * 180 / Math.PI * 4; // radians -> degrees -> minutes of time (1° = 4 min)
+};
+
+/*
+PRECESSION, NUTATION AND ABERRATION
+Catalog coordinates are given for a fixed equinox (usually J2000). Over the years the Earth's axis
+drifts (precession), wobbles (nutation), and the Earth's orbital motion tilts incoming starlight
+(aberration); together these move a star by up to about an arcminute per 3 years.
+These functions turn catalog coordinates into apparent coordinates of date for RaDec2AzEl().
+*/
+
+// Catalog epochs a target can declare, as Julian Dates
+export const EPOCHS = {
+  J2000: 2451545.0,       // Julian epoch 2000.0 (ICRS / FK5 catalogs, SIMBAD)
+  B1950: 2433282.4235     // Besselian epoch 1950.0 (FK4 catalogs)
+};
+
+// IAU 2006 precession angles zetaA, zA, thetaA in degrees for T Julian centuries from J2000 (Capitaine et al. 2003)
+const getPrecessionAngles = (T) => {
+  const zeta = 2.650545 + T * (2306.083227 + T * (0.2988499 + T * (0.01801828 + T * (-0.000005971 + T * -0.0000003173))));
+  const z = -2.650545 + T * (2306.077181 + T * (1.0927348 + T * (0.01826837 + T * (-0.000028596 + T * -0.0000002904))));
+  const theta = T * (2004.191903 + T * (-0.4294934 + T * (-0.04182264 + T * (-0.000007089 + T * -0.0000001274))));
+  return { zeta: zeta / 3600, z: z / 3600, theta: theta / 3600 };
+};
+
+// Precess mean {ra, dec} from the J2000 equinox to the mean equinox T Julian centuries later (Meeus 21.4)
+const precessFromJ2000 = ({ ra, dec }, T) => {
+  const { zeta, z, theta } = getPrecessionAngles(T);
+  const A = cosd(dec) * sind(ra + zeta);
+  const B = cosd(theta) * cosd(dec) * cosd(ra + zeta) - sind(theta) * sind(dec);
+  const C = sind(theta) * cosd(dec) * cosd(ra + zeta) + cosd(theta) * sind(dec);
+  return { ra : normalizeDegrees(atan2d(A, B) + z), dec : asind(C) };
+};
+
+// Inverse of precessFromJ2000: bring mean {ra, dec} of the equinox T centuries from J2000 back to J2000
+const precessToJ2000 = ({ ra, dec }, T) => {
+  const { zeta, z, theta } = getPrecessionAngles(T);
+  const A = cosd(dec) * sind(ra - z);
+  const B = cosd(theta) * cosd(dec) * cosd(ra - z) + sind(theta) * sind(dec);
+  const C = -sind(theta) * cosd(dec) * cosd(ra - z) + cosd(theta) * sind(dec);
+  return { ra : normalizeDegrees(atan2d(A, B) - zeta), dec : asind(C) };
+};
+
+// Nutation in longitude (deltaPsi) and obliquity (deltaEpsilon) in degrees
+// The four largest IAU 1980 terms (Meeus chapter 22), good to about 0.5"
+export const getNutation = (date) => {
+  const T = getJulianCenturies(date);
+  const omega = 125.04452 - 1934.136261 * T;      // Longitude of the Moon's ascending node
+  const L = 280.4665 + 36000.7698 * T;            // Mean longitude of the Sun
+  const Lp = 218.3165 + 481267.8813 * T;          // Mean longitude of the Moon
+  return {
+    deltaPsi : (-17.20 * sind(omega) - 1.32 * sind(2 * L) - 0.23 * sind(2 * Lp) + 0.21 * sind(2 * omega)) / 3600,
+    deltaEpsilon : (9.20 * cosd(omega) + 0.57 * cosd(2 * L) + 0.10 * cosd(2 * Lp) - 0.09 * cosd(2 * omega)) / 3600
+  };
+};
+
+// 1 km/s expressed in parsecs per Julian year
+const KM_PER_S_IN_PC_PER_YEAR = 1.0227121650537077e-6;
+
+// Milliarcseconds to radians
+const MAS_TO_RAD = Math.PI / (180 * 3600 * 1000);
+
+/*
+Propagate a star's catalog position to the observation date using its space motion.
+The star is moved in a straight line in 3D space, so the result stays correct for fast,
+nearby stars (like Barnard's Star) where the simple "RA + pm * years" approach drifts.
+
+Parameters:
+  position: {ra, dec, pmRa, pmDec, parallax, radialVelocity}
+  - ra/dec: catalog position in degrees at the catalog epoch
+  - pmRa: proper motion in RA in mas/yr, already multiplied by cos(dec) as SIMBAD/Gaia give it
+  - pmDec: proper motion in Dec in mas/yr
+  - parallax: in mas (0 or missing: treat the star as distant, ignore radial velocity)
+  - radialVelocity: in km/s, positive = receding
+  date: JavaScript Date object for the observation time
+  epoch: catalog epoch, a key of EPOCHS (default 'J2000')
+
+Returns:
+  {ra, dec} in degrees: position at 'date', still referred to the catalog's equinox
+*/
+export const propagateSpaceMotion = (position, date, epoch = 'J2000') => {
+  const { ra, dec, pmRa = 0, pmDec = 0, parallax = 0, radialVelocity = 0 } = position;
+  if (!pmRa && !pmDec && !radialVelocity) return { ra, dec };
+
+  const years = (getJulian(date) - EPOCHS[epoch]) / 365.25;
+
+  // Distance in parsecs; unit distance when the parallax is unknown
+  const distance = parallax > 0 ? 1000 / parallax : 1;
+  const radialSpeed = parallax > 0 ? radialVelocity * KM_PER_S_IN_PC_PER_YEAR : 0;
+
+  // Unit vectors: toward the star, toward increasing RA, toward increasing Dec
+  const toward = [cosd(dec) * cosd(ra), cosd(dec) * sind(ra), sind(dec)];
+  const eastward = [-sind(ra), cosd(ra), 0];
+  const northward = [-sind(dec) * cosd(ra), -sind(dec) * sind(ra), cosd(dec)];
+
+  // Position at the catalog epoch plus velocity times elapsed years
+  const moved = toward.map((u, i) => distance * u + years * (
+      distance * (pmRa * MAS_TO_RAD * eastward[i] + pmDec * MAS_TO_RAD * northward[i]) + radialSpeed * u));
+
+  return {
+    ra : normalizeDegrees(atan2d(moved[1], moved[0])),
+    dec : atan2d(moved[2], Math.sqrt(moved[0] * moved[0] + moved[1] * moved[1]))
+  };
+};
+
+/*
+Convert catalog (mean) coordinates to apparent coordinates of date
+
+Parameters:
+  position: {ra, dec} in degrees, referred to the catalog's equinox
+  date: JavaScript Date object for the observation time
+  epoch: catalog epoch, a key of EPOCHS ('J2000' or 'B1950', default 'J2000')
+
+Returns:
+  {ra, dec} in degrees: precessed to date (IAU 2006), with nutation and annual aberration applied
+  (B1950 positions are precessed to J2000 first; the small FK4 E-terms are ignored)
+*/
+export const catalogToApparent = (position, date, epoch = 'J2000') => {
+  if (!(epoch in EPOCHS)) {
+    throw new Error(`Unknown epoch "${epoch}"`);
+  }
+
+  // Bring the position to J2000, then precess to the mean equinox of date
+  const j2000 = epoch === 'J2000' ? position : precessToJ2000(position, (EPOCHS[epoch] - EPOCHS.J2000) / 36525);
+  const T = getJulianCenturies(date);
+  const { ra, dec } = precessFromJ2000(j2000, T);
+
+  // Nutation (Meeus 23.1)
+  const { deltaPsi, deltaEpsilon } = getNutation(date);
+  const epsilon = getMeanObliquity(date) + deltaEpsilon;
+  const tanDec = Math.tan(dec * Math.PI / 180);
+  const nutationRa = (cosd(epsilon) + sind(epsilon) * sind(ra) * tanDec) * deltaPsi - cosd(ra) * tanDec * deltaEpsilon;
+  const nutationDec = sind(epsilon) * cosd(ra) * deltaPsi + sind(ra) * deltaEpsilon;
+
+  // Annual aberration (Meeus 23.3), including the small term from the eccentricity of Earth's orbit
+  const kappa = 20.49552 / 3600;
+  const { e, lambda: sunLongitude } = getSolarElements(date);
+  const perihelion = 102.93735 + 1.71946 * T + 0.00046 * T * T;
+  const aberrationRa = (-kappa * (cosd(ra) * cosd(sunLongitude) * cosd(epsilon) + sind(ra) * sind(sunLongitude)) +
+                        e * kappa * (cosd(ra) * cosd(perihelion) * cosd(epsilon) + sind(ra) * sind(perihelion))) / cosd(dec);
+  const tiltTerm = Math.tan(epsilon * Math.PI / 180) * cosd(dec) - sind(ra) * sind(dec);
+  const aberrationDec = -kappa * (cosd(sunLongitude) * cosd(epsilon) * tiltTerm + cosd(ra) * sind(dec) * sind(sunLongitude)) +
+                        e * kappa * (cosd(perihelion) * cosd(epsilon) * tiltTerm + cosd(ra) * sind(dec) * sind(perihelion));
+
+  return {
+    ra : normalizeDegrees(ra + nutationRa + aberrationRa),
+    dec : dec + nutationDec + aberrationDec
+  };
+};
+
+/*
+LUNAR EPHEMERIS
+Truncated version of the lunar theory in Meeus, "Astronomical Algorithms" (2nd ed.), chapters 40, 47 and 48.
+Only the largest periodic terms are kept, which is good to a few arcminutes: plenty for planning.
+*/
+
+// Periodic terms for the Moon's longitude (1e-6 deg) and distance (1e-3 km), Meeus table 47.A
+// Each row: [D, M, M', F, longitude coefficient, distance coefficient]
+const MOON_LONGITUDE_DISTANCE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884]
+];
+
+// Periodic terms for the Moon's latitude (1e-6 deg), Meeus table 47.B
+// Each row: [D, M, M', F, latitude coefficient]
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794]
+];
+
+// Equatorial radius of the Earth in km, used for the Moon's parallax
+const EARTH_RADIUS_KM = 6378.14;
+
+/*
+Apparent geocentric position of the Moon (as seen from Earth's center) for a given date
+
+Returns:
+  {ra, dec, lambda, beta, distance}
+  - ra/dec: apparent equatorial coordinates in degrees
+  - lambda/beta: apparent ecliptic longitude/latitude in degrees
+  - distance: Earth-Moon distance in km
+*/
+export const getMoonGeocentric = (date) => {
+  const T = getJulianCenturies(date);
+
+  // Mean longitude, mean elongation, Sun's and Moon's mean anomalies, argument of latitude (Meeus 47.1-47.5)
+  const Lp = 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T * T * T / 538841;
+  const D = 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T * T * T / 545868;
+  const M = 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T;
+  const Mp = 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T * T * T / 69699;
+  const F = 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T * T * T / 3526000;
+
+  // Additional arguments for planetary perturbations and the flattening of the Earth
+  const A1 = 119.75 + 131.849 * T;
+  const A2 = 53.09 + 479264.290 * T;
+  const A3 = 313.45 + 481266.484 * T;
+
+  // Terms involving the Sun's anomaly shrink as Earth's orbital eccentricity decreases
+  const E = 1 - 0.002516 * T - 0.0000074 * T * T;
+  const eccentricityFactor = (m) => Math.pow(E, Math.abs(m));
+
+  let sumL = 0;
+  let sumR = 0;
+  MOON_LONGITUDE_DISTANCE_TERMS.forEach(([d, m, mp, f, l, r]) => {
+    const arg = d * D + m * M + mp * Mp + f * F;
+    sumL += l * eccentricityFactor(m) * sind(arg);
+    sumR += r * eccentricityFactor(m) * cosd(arg);
+  });
+
+  let sumB = 0;
+  MOON_LATITUDE_TERMS.forEach(([d, m, mp, f, b]) => {
+    sumB += b * eccentricityFactor(m) * sind(d * D + m * M + mp * Mp + f * F);
+  });
+
+  sumL += 3958 * sind(A1) + 1962 * sind(Lp - F) + 318 * sind(A2);
+  sumB += -2235 * sind(Lp) + 382 * sind(A3) + 175 * sind(A1 - F) + 175 * sind(A1 + F) +
+          127 * sind(Lp - Mp) - 115 * sind(Lp + Mp);
+
+  const { deltaPsi, deltaEpsilon } = getNutation(date);
+
+  const lambda = normalizeDegrees(Lp + sumL / 1e6 + deltaPsi);
+  const beta = sumB / 1e6;
+  const distance = 385000.56 + sumR / 1000;
+
+  return {
+    ...eclipticToEquatorial(lambda, beta, getMeanObliquity(date) + deltaEpsilon),
+    lambda,
+    beta,
+    distance
+  };
+};
+
+/*
+Topocentric position of the Moon as seen by an observer on the Earth's surface.
+The Moon is close enough that parallax shifts it by up to a degree from its geocentric position.
+
+Parameters:
+  date: JavaScript Date object
+  lat: Observer's latitude in degrees
+  lon: Observer's longitude in degrees (positive = East)
+  elevation: Observer's height above sea level in meters (default 0)
+
+Returns:
+  {ra, dec, distance, phaseAngle, illumination}
+  - ra/dec: topocentric apparent coordinates in degrees, ready for RaDec2AzEl()
+  - distance: geocentric Earth-Moon distance in km
+  - phaseAngle: Sun-Moon-Earth angle in degrees (0° = full, 180° = new)
+  - illumination: illuminated fraction of the disk, 0 to 1
+*/
+export const getMoonPosition = (date, lat, lon, elevation = 0) => {
+  const moon = getMoonGeocentric(date);
+
+  // Observer's geocentric position on the flattened Earth (Meeus 11.1-11.3)
+  const u = Math.atan(0.99664719 * Math.tan(lat * Math.PI / 180));
+  const rhoSinPhi = 0.99664719 * Math.sin(u) + elevation / (EARTH_RADIUS_KM * 1000) * sind(lat);
+  const rhoCosPhi = Math.cos(u) + elevation / (EARTH_RADIUS_KM * 1000) * cosd(lat);
+
+  // Parallax correction to RA/Dec (Meeus 40.2-40.3)
+  const sinParallax = EARTH_RADIUS_KM / moon.distance;
+  const H = getGreenwichSiderealTime(date) + lon - moon.ra;
+  const denominator = cosd(moon.dec) - rhoCosPhi * sinParallax * cosd(H);
+  const deltaRa = atan2d(-rhoCosPhi * sinParallax * sind(H), denominator);
+  const dec = atan2d((sind(moon.dec) - rhoSinPhi * sinParallax) * cosd(deltaRa), denominator);
+
+  return {
+    ra : normalizeDegrees(moon.ra + deltaRa),
+    dec,
+    distance : moon.distance,
+    ...getMoonPhase(date, moon)
+  };
+};
+
+/*
+Phase of the Moon for a given date (Meeus chapter 48)
+
+Returns:
+  {phaseAngle, illumination, waxing}
+  - phaseAngle: Sun-Moon-Earth angle in degrees (0° = full, 180° = new)
+  - illumination: illuminated fraction of the disk, 0 to 1
+  - waxing: true between new and full Moon
+*/
+export const getMoonPhase = (date, moon = getMoonGeocentric(date)) => {
+  const sun = getSunPosition(date);
+  const sunDistanceKm = sun.distance * 149597870.7;
+
+  // Geocentric elongation of the Moon from the Sun
+  const elongation = getAngularSeparation(sun, moon);
+
+  const phaseAngle = atan2d(sunDistanceKm * sind(elongation),
+                            moon.distance - sunDistanceKm * cosd(elongation));
+
+  return {
+    phaseAngle,
+    illumination : (1 + cosd(phaseAngle)) / 2,
+    waxing : normalizeDegrees(moon.ra - sun.ra) < 180
+  };
+};
+
+// Angular distance in degrees between two {ra, dec} positions on the sky
+export const getAngularSeparation = (a, b) => {
+  const cosSeparation = sind(a.dec) * sind(b.dec) + cosd(a.dec) * cosd(b.dec) * cosd(a.ra - b.ra);
+  return Math.acos(Math.min(1, Math.max(-1, cosSeparation))) * 180 / Math.PI;
+};
+
+// Define celestial coordinates for objects of interest
+
+// The Sun moves along the ecliptic through the year, so it is a function of date rather than a fixed RA/Dec
+export const solCelestial = getSunPosition;
+
+// The Fireworks Galaxy (NGC 6946) - a face-on spiral on the Cepheus/Cygnus border
 // These coordinates are essentially fixed (stars don't move appreciably over human timescales)
 export const fireworksCelestial = {
   ra : hmsToDeg(20, 35, 25),       // Right Ascension: 20h 35m 25s
-  dec : dmsToDeg(60, 14, 47)       // Declination: +60° 14' 47" 
+  dec : dmsToDeg(60, 14, 47),      // Declination: +60° 14' 47" 
+  epoch : 'J2000'
 };
 
 // Polaris (the North Star) - α Ursae Minoris
 // Located very close to the North Celestial Pole, appears nearly stationary
 export const polarisCelestial = {
   ra : hmsToDeg(2, 31, 49),        // Right Ascension: 2h 31m 49s
-  dec : dmsToDeg(89, 15, 51)       // Declination: +89° 15' 51" (very close to +90°)
+  dec : dmsToDeg(89, 15, 51),      // Declination: +89° 15' 51" (very close to +90°)
+  epoch : 'J2000'
 };
 
 // Observer location: Dunstable, Massachusetts, USA
@@ -113,14 +662,28 @@ export const dunstableMAUsaLatLong = {
   lon : -dmsToDeg(71, 28, 16)      // Longitude: 71° 28' 16" W (negative for West)
 };
 
+// Resolve a celestial object to apparent {ra, dec} at a given time
+// Fixed objects are plain {ra, dec} objects; moving ones (like the Sun) are functions of date
+// Fixed objects that declare a catalog epoch ('J2000' or 'B1950') are moved by their proper motion
+// (if any) and converted to apparent coordinates of date
+export const resolveCelestial = (celestialObject, date) => {
+    if (typeof celestialObject === 'function') return celestialObject(date);
+    if (celestialObject.epoch) {
+        const { epoch } = celestialObject;
+        return catalogToApparent(propagateSpaceMotion(celestialObject, date, epoch), date, epoch);
+    }
+    return celestialObject;
+};
+
 // Helper function: Calculate position of any celestial object at any time from Dunstable, MA
-export const calculatePositionAtTime = (date, {ra, dec}) => RaDec2AzEl(
-    ra, dec, dunstableMAUsaLatLong.lat, dunstableMAUsaLatLong.lon, date);
+export const calculatePositionAtTime = (date, celestialObject) => {
+    const { ra, dec } = resolveCelestial(celestialObject, date);
+    return RaDec2AzEl(ra, dec, dunstableMAUsaLatLong.lat, dunstableMAUsaLatLong.lon, date);
+};
 
-// Helper function: Calculate position of Fireworks Nebula at any specific time from Dunstable, MA  
+// Helper function: Calculate position of the Fireworks Galaxy at any specific time from Dunstable, MA  
 export const calculateFireworksPosition = (date) =>
-    RaDec2AzEl(fireworksCelestial.ra, fireworksCelestial.dec,
-               dunstableMAUsaLatLong.lat, dunstableMAUsaLatLong.lon, date);
+    calculatePositionAtTime(date, fireworksCelestial);
 
 /*
 GENERATE DATA FOR VISUALIZATION
@@ -135,60 +698,53 @@ export const addTime = (amount, date, setter, getter) => {
     return newDate;
 };
 
-// Generate array of 24 Date objects, one for each hour of a day starting from 'start'
-export const generateHourlyDates = (startDate) => {
+// Generate array of Date objects covering the 24 hours from 'start', one every stepMinutes
+export const generateHourlyDates = (startDate, stepMinutes = 60) => {
     const dates = [];
-    for (let h = 0; h < 24; h++) {
-        dates.push(addTime(h, startDate, 'setHours', 'getHours'));
+    for (let m = 0; m < 24 * 60; m += stepMinutes) {
+        dates.push(new Date(startDate.getTime() + m * 60000));
     }
     return dates;
 };
 
-// Generate array of Date objects for nighttime hours only (6 PM to 6 AM)
-export const generateNighttimeDates = (startDate) => {
-    const dates = [];
-    // Generate hours from 18:00 (6 PM) to 23:59 (11:59 PM)
-    for (let h = 18; h < 24; h++) {
-        dates.push(addTime(h, startDate, 'setHours', 'getHours'));
-    }
-    // Generate hours from 00:00 (midnight) to 05:59 (5:59 AM)
-    const nextDay = new Date(startDate);
-    nextDay.setDate(nextDay.getDate() + 1);
-    for (let h = 0; h < 6; h++) {
-        dates.push(addTime(h, nextDay, 'setHours', 'getHours'));
-    }
-    return dates;
-};
+// Generate array of Date objects for nighttime hours only (6 PM to 6 AM site time)
+export const generateNighttimeDates = (startDate, timeZone) =>
+    generateCustomTimeDates(startDate, 18, 5, 60, timeZone);
 
 // Generate array of Date objects for custom time range
-export const generateCustomTimeDates = (startDate, startHour, endHour) => {
-    const dates = [];
-    
-    // Helper function to create a date with a specific hour
-    const createDateWithHour = (baseDate, hour) => {
-        const newDate = new Date(baseDate);
-        newDate.setHours(hour, 0, 0, 0); // Set hour, reset minutes/seconds/ms to 0
-        return newDate;
+// startHour/endHour are hours of the day at the site and may carry minutes as a fraction (18.5 = 18:30);
+// an end before the start means the range crosses midnight into the next day
+export const generateCustomTimeDates = (startDate, startHour, endHour, stepMinutes = 60, timeZone) => {
+    // The range starts on startDate's calendar day as seen at the site
+    const { year, month, day } = getZonedParts(startDate, timeZone);
+
+    // Helper function to create a date at a given site time of day, to the minute
+    const createDateWithTime = (dayOffset, hour) => {
+        const minutes = Math.round(hour * 60);
+        return zonedTimeToDate({
+            year,
+            month,
+            day: day + dayOffset,
+            hour: Math.floor(minutes / 60),
+            minute: minutes % 60
+        }, timeZone);
     };
-    
-    if (startHour <= endHour) {
-        // Same day range (e.g., 8 AM to 6 PM)
-        for (let h = startHour; h <= endHour; h++) {
-            dates.push(createDateWithHour(startDate, h));
-        }
-    } else {
-        // Cross-midnight range (e.g., 7 PM to 4 AM)
-        // Generate hours from start to end of day
-        for (let h = startHour; h < 24; h++) {
-            dates.push(createDateWithHour(startDate, h));
-        }
-        // Generate hours from start of next day to end hour
-        const nextDay = new Date(startDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-        for (let h = 0; h <= endHour; h++) {
-            dates.push(createDateWithHour(nextDay, h));
-        }
+
+    // Cross-midnight range (e.g., 7 PM to 4 AM) ends on the next day
+    const start = createDateWithTime(0, startHour);
+    const end = createDateWithTime(endHour < startHour ? 1 : 0, endHour);
+    return generateDateRange(start, end, stepMinutes);
+};
+
+// Generate array of Date objects every stepMinutes between two arbitrary instants (e.g. dusk to dawn)
+// The exact end instant is always included so the path reaches the end of the window
+export const generateDateRange = (startDate, endDate, stepMinutes = 60) => {
+    const dates = [];
+    const stepMs = stepMinutes * 60000;
+    for (let t = startDate.getTime(); t < endDate.getTime(); t += stepMs) {
+        dates.push(new Date(t));
     }
+    dates.push(new Date(endDate));
     return dates;
 };
 
@@ -199,20 +755,20 @@ export const generatePositionData = (celestialObject, startDate = new Date()) =>
 };
 
 // Generate position data for celestial objects during nighttime hours only (6 PM to 6 AM)
-export const generateNighttimePositionData = (celestialObject, startDate = new Date()) => {
-    const dateVec = generateNighttimeDates(startDate);
+export const generateNighttimePositionData = (celestialObject, startDate = new Date(), timeZone) => {
+    const dateVec = generateNighttimeDates(startDate, timeZone);
     return dateVec.map(date => ({
         ...calculatePositionAtTime(date, celestialObject),
-        time: date.getHours() // Store the hour for labeling
+        time: date // Store the timestamp for labeling
     }));
 };
 
 // Generate position data for celestial objects during custom time range
-export const generateCustomTimePositionData = (celestialObject, startDate = new Date(), startHour = 18, endHour = 6) => {
-    const dateVec = generateCustomTimeDates(startDate, startHour, endHour);
+export const generateCustomTimePositionData = (celestialObject, startDate = new Date(), startHour = 18, endHour = 6, stepMinutes = 60, timeZone) => {
+    const dateVec = generateCustomTimeDates(startDate, startHour, endHour, stepMinutes, timeZone);
     return dateVec.map(date => ({
         ...calculatePositionAtTime(date, celestialObject),
-        time: date.getHours() // Store the hour for labeling
+        time: date // Store the timestamp for labeling
     }));
 };
 
@@ -226,4 +782,292 @@ export const getPositionVectors = (startDate = new Date()) => ({
 export const getNighttimePositionVectors = (startDate = new Date()) => ({
     fireworks: generateNighttimePositionData(fireworksCelestial, startDate),
     sol: generateNighttimePositionData(solCelestial, startDate)
-});
\ No newline at end of file
+});
+
+/*
+Position on a sampled path at any time between its samples
+
+Parameters:
+  points: [{az, el, time}] sorted by time, as in the plotted position data
+  time: Date
+
+Returns:
+  {az, el, time} interpolated linearly (azimuth the short way round through North),
+  or null when time falls outside the path
+*/
+export const interpolatePathPoint = (points, time) => {
+    if (!points || points.length === 0) return null;
+    const t = time.getTime();
+    if (t < points[0].time.getTime() || t > points[points.length - 1].time.getTime()) return null;
+    if (points.length === 1) return { az: points[0].az, el: points[0].el, time };
+
+    const i = Math.max(1, points.findIndex(point => point.time.getTime() >= t));
+    const before = points[i - 1];
+    const after = points[i];
+    const span = after.time.getTime() - before.time.getTime();
+    const f = span > 0 ? (t - before.time.getTime()) / span : 0;
+
+    const azStep = normalizeDegrees(after.az - before.az + 180) - 180;
+    return {
+        az: normalizeDegrees(before.az + f * azStep),
+        el: before.el + f * (after.el - before.el),
+        time
+    };
+};
+
+// Evenly spaced values from start up to and including end
+const range = (start, end, step) => {
+    const values = [];
+    for (let v = start; v <= end + 1e-9; v += step) values.push(v);
+    return values;
+};
+
+// Split a list of {az, el} points into runs that stay above the horizon, for drawing grid lines
+const splitAboveHorizon = (points) => {
+    const segments = [];
+    let current = [];
+    points.forEach(point => {
+        if (point.el >= 0) {
+            current.push(point);
+        } else if (current.length > 0) {
+            segments.push(current);
+            current = [];
+        }
+    });
+    if (current.length > 0) segments.push(current);
+    return segments.filter(segment => segment.length > 1);
+};
+
+/*
+Equatorial grid projected onto the local sky: lines of constant declination and hour angle,
+the celestial equator and the meridian, as {az, el} polylines above the horizon.
+Hour angle is measured from the meridian, so the grid depends only on latitude; pairing it with
+the local sidereal time turns each hour-angle line into a line of constant RA at that moment.
+
+Parameters:
+  lat: Observer's latitude in degrees
+  decStep: spacing of declination circles in degrees (default 15)
+  haStep: spacing of hour-angle lines in hours (default 1)
+
+Returns:
+  {equator, meridian, decLines, haLines}
+  - equator, meridian: arrays of segments (each an array of {az, el})
+  - decLines: [{dec, segments, upperTransit}], upperTransit being the {az, el} where the circle crosses the upper meridian
+  - haLines: [{ha (hours), segments, equatorCrossing}], equatorCrossing being the {az, el} where the line meets the equator
+*/
+export const generateEquatorialGrid = (lat, decStep = 15, haStep = 1) => {
+    const SAMPLE_STEP = 2; // degrees between points along each line
+
+    const decCircle = (dec) => splitAboveHorizon(
+        range(-180, 180, SAMPLE_STEP).map(ha => HaDec2AzEl(ha, dec, lat)));
+    const hourLine = (ha) => splitAboveHorizon(
+        range(-90, 90, SAMPLE_STEP).map(dec => HaDec2AzEl(ha, dec, lat)));
+
+    const decLines = [];
+    for (let dec = -90 + decStep; dec < 90; dec += decStep) {
+        if (dec !== 0) decLines.push({ dec, segments: decCircle(dec), upperTransit: HaDec2AzEl(0, dec, lat) });
+    }
+
+    const haLines = [];
+    for (let ha = 0; ha < 24; ha += haStep) {
+        haLines.push({ ha, segments: hourLine(ha * 15), equatorCrossing: HaDec2AzEl(ha * 15, 0, lat) });
+    }
+
+    return {
+        equator: decCircle(0),
+        // The meridian is the great circle through both poles and the zenith: hour angles 0h and 12h
+        meridian: [...hourLine(0), ...hourLine(180)],
+        decLines,
+        haLines
+    };
+};
+
+/*
+RISE, SET AND TWILIGHT
+Find the moments when an object's elevation crosses a given altitude
+*/
+
+// Altitudes of the Sun's center that define sunrise/sunset and the three twilights
+export const TWILIGHT_ALTITUDES = {
+    sun: 0,              // Sunrise / sunset
+    civil: -6,           // Civil twilight
+    nautical: -12,       // Nautical twilight
+    astronomical: -18    // Astronomical twilight: sky fully dark below this
+};
+
+/*
+Find every time an altitude function crosses a target altitude within a time window.
+The window is sampled coarsely and each sign change is refined by bisection.
+
+Parameters:
+  altitudeAt: function(date) returning elevation in degrees
+  startDate, endDate: JavaScript Date objects bounding the search
+  targetAlt: altitude in degrees to look for
+  stepMinutes: sampling interval (must be shorter than the gap between two crossings)
+
+Returns:
+  Array of {time: Date, rising: boolean} in chronological order
+*/
+export const findAltitudeCrossings = (altitudeAt, startDate, endDate, targetAlt, stepMinutes = 10) => {
+    const crossings = [];
+    const step = stepMinutes * 60000;
+    const end = endDate.getTime();
+
+    let t0 = startDate.getTime();
+    let h0 = altitudeAt(new Date(t0)) - targetAlt;
+
+    while (t0 < end) {
+        const t1 = Math.min(t0 + step, end);
+        const h1 = altitudeAt(new Date(t1)) - targetAlt;
+
+        if ((h0 < 0) !== (h1 < 0)) {
+            // Bisect down to one second
+            let lo = t0, hi = t1, hLo = h0;
+            while (hi - lo > 1000) {
+                const mid = (lo + hi) / 2;
+                const hMid = altitudeAt(new Date(mid)) - targetAlt;
+                if ((hMid < 0) === (hLo < 0)) {
+                    lo = mid;
+                    hLo = hMid;
+                } else {
+                    hi = mid;
+                }
+            }
+            crossings.push({ time: new Date(Math.round((lo + hi) / 2)), rising: h1 >= 0 });
+        }
+
+        t0 = t1;
+        h0 = h1;
+    }
+    return crossings;
+};
+
+// The 24 hours from mean solar noon on 'date' (the site's calendar day) to the next solar noon at the given longitude
+// Mean solar noon is 12:00 UTC shifted by 4 minutes per degree of longitude
+export const getSolarNoonWindow = (date, lon, timeZone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    const start = new Date(Date.UTC(year, month - 1, day, 12) - lon * 240000);
+    return { start, end: new Date(start.getTime() + 86400000) };
+};
+
+/*
+Sunset, sunrise and civil/nautical/astronomical twilight for the night starting on a given date.
+The search runs from mean solar noon at the observer's longitude on 'date' to solar noon the next
+day, so "dusk" is the evening of 'date' and "dawn" is the following morning.
+
+Parameters:
+  date: JavaScript Date object (only the calendar day is used)
+  lat: Observer's latitude in degrees
+  lon: Observer's longitude in degrees (positive = East)
+  timeZone: site time zone whose calendar day is meant (default: the browser's)
+
+Returns:
+  {sun, civil, nautical, astronomical}, each {dusk: Date|null, dawn: Date|null, state}
+  - state 'normal': the Sun crosses the altitude (dusk/dawn may still be null if only one crossing falls in the window)
+  - state 'alwaysAbove': the Sun never drops below the altitude (polar day / white nights)
+  - state 'alwaysBelow': the Sun never rises above the altitude (polar night)
+*/
+export const getTwilightTimes = (date, lat, lon, timeZone) => {
+    const { start, end } = getSolarNoonWindow(date, lon, timeZone);
+
+    const sunAltitude = (d) => {
+        const { ra, dec } = getSunPosition(d);
+        return RaDec2AzEl(ra, dec, lat, lon, d).el;
+    };
+
+    const result = {};
+    Object.entries(TWILIGHT_ALTITUDES).forEach(([name, altitude]) => {
+        const crossings = findAltitudeCrossings(sunAltitude, start, end, altitude);
+        const dusk = crossings.find(c => !c.rising);
+        const dawn = crossings.find(c => c.rising && (!dusk || c.time > dusk.time));
+
+        let state = 'normal';
+        if (crossings.length === 0) {
+            state = sunAltitude(start) > altitude ? 'alwaysAbove' : 'alwaysBelow';
+        }
+
+        result[name] = {
+            dusk: dusk ? dusk.time : null,
+            dawn: dawn ? dawn.time : null,
+            state
+        };
+    });
+    return result;
+};
+
+// Turn one twilight level from getTwilightTimes() into an observing window {start, end}
+// Polar night gives the whole solar-noon-to-noon window; polar day (no darkness) gives null
+export const getDarkWindow = (twilightLevel, date, lon, timeZone) => {
+    if (twilightLevel.state === 'alwaysBelow') {
+        return getSolarNoonWindow(date, lon, timeZone);
+    }
+    if (twilightLevel.dusk && twilightLevel.dawn) {
+        return { start: twilightLevel.dusk, end: twilightLevel.dawn };
+    }
+    return null;
+};
+
+/*
+Rise, upper transit and set of a celestial object during the 24 hours starting at solar noon on 'date'.
+Works for fixed objects ({ra, dec}) and moving ones (functions of date), via resolveCelestial().
+
+Parameters:
+  celestialObject: {ra, dec} in degrees, or function(date) returning {ra, dec}
+  date: JavaScript Date object (only the calendar day is used)
+  lat: Observer's latitude in degrees
+  lon: Observer's longitude in degrees (positive = East)
+  horizonAlt: altitude in degrees that counts as "risen" (default 0°, the horizon)
+  options: RaDec2AzEl() options; pass {apparent: true} to time rise/set against refracted altitude
+  timeZone: site time zone whose calendar day is meant (default: the browser's)
+
+Returns:
+  {state, rise, transit, transitAltitude, set}
+  - state 'normal': the object crosses the horizon (rise or set may be null if it falls outside the window)
+  - state 'circumpolar': the object never sets; rise and set are null
+  - state 'neverRises': the object never clears the horizon; rise and set are null
+  - transit: Date of the upper meridian crossing (null only if it falls outside the window)
+  - transitAltitude: elevation in degrees at transit
+*/
+export const getRiseTransitSet = (celestialObject, date, lat, lon, horizonAlt = 0, options = {}, timeZone) => {
+    const { start, end } = getSolarNoonWindow(date, lon, timeZone);
+    return findRiseTransitSet(celestialObject, start, end, lat, lon, horizonAlt, options);
+};
+
+/*
+The next rise, upper transit and set of a celestial object after a given moment, for countdowns.
+Same parameters and result as getRiseTransitSet(), but the search covers the 24 hours from 'date'
+itself, so every event returned is still to come.
+*/
+export const getNextRiseTransitSet = (celestialObject, date, lat, lon, horizonAlt = 0, options = {}) =>
+    findRiseTransitSet(celestialObject, date, new Date(date.getTime() + 86400000), lat, lon, horizonAlt, options);
+
+// Rise, transit and set between two instants (see getRiseTransitSet)
+const findRiseTransitSet = (celestialObject, start, end, lat, lon, horizonAlt, options) => {
+    const altitudeAt = (d) => {
+        const { ra, dec } = resolveCelestial(celestialObject, d);
+        return RaDec2AzEl(ra, dec, lat, lon, d, options).el;
+    };
+
+    // Upper transit is where the hour angle passes from negative (east) to positive (west)
+    // The wrap from +180° back to -180° also shows up as a sign change, but in the falling direction
+    const hourAngleAt = (d) => getHourAngle(resolveCelestial(celestialObject, d).ra, lon, d);
+    const transitCrossing = findAltitudeCrossings(hourAngleAt, start, end, 0).find(c => c.rising);
+    const transit = transitCrossing ? transitCrossing.time : null;
+
+    const crossings = findAltitudeCrossings(altitudeAt, start, end, horizonAlt);
+    const rise = crossings.find(c => c.rising);
+    const set = crossings.find(c => !c.rising);
+
+    let state = 'normal';
+    if (crossings.length === 0) {
+        state = altitudeAt(start) > horizonAlt ? 'circumpolar' : 'neverRises';
+    }
+
+    return {
+        state,
+        rise: rise ? rise.time : null,
+        transit,
+        transitAltitude: transit ? altitudeAt(transit) : null,
+        set: set ? set.time : null
+    };
+};
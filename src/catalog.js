@@ -0,0 +1,238 @@
+/*
+CATALOG.JS - Offline Object Catalog (ES6 Module)
+Messier and Caldwell objects, NGC/IC deep-sky objects and the stars to about magnitude 6,
+searchable without a network connection. The data lives in data/catalog.json (generated by
+scripts/build-catalog.mjs) and is loaded on first use, so it stays out of the main bundle.
+
+A catalog entry:
+
+  {designation, name, aliases, type, mag, size, constellation, ra, dec, motion?}
+
+designation is the primary id ("M 31", "NGC 6946", "α Lyr"), name the common name ('' if none),
+aliases every name the entry can be found by. ra/dec are J2000 degrees, mag is null when
+unknown, size is the angular size in arcminutes ("190x60" or "330", null for stars).
+
+Names are matched on a normalized key, so "M 31", "m31" and "Messier 31" are the same,
+as are "Alpha Lyrae", "alf Lyr" and "α Lyr"; common names also match on a prefix,
+a substring or with a typo or two.
+*/
+
+// Object type codes used in the catalog
+export const TYPE_LABELS = {
+    star: 'Star',
+    gg: 'Galaxy cluster',
+    g: 'Galaxy',
+    s: 'Spiral galaxy',
+    s0: 'Lenticular galaxy',
+    sd: 'Dwarf spheroidal galaxy',
+    i: 'Irregular galaxy',
+    e: 'Elliptical galaxy',
+    oc: 'Open cluster',
+    gc: 'Globular cluster',
+    dn: 'Dark nebula',
+    bn: 'Bright nebula',
+    sfr: 'Star-forming region',
+    rn: 'Reflection nebula',
+    en: 'Emission nebula',
+    pn: 'Planetary nebula',
+    snr: 'Supernova remnant',
+    pos: 'Asterism'
+};
+
+// Broader groups of object types, for filtering
+export const TYPE_GROUPS = [
+    { key: 'galaxy', name: 'Galaxies', types: ['g', 's', 's0', 'sd', 'i', 'e', 'gg'] },
+    { key: 'nebula', name: 'Nebulae', types: ['bn', 'en', 'rn', 'dn', 'sfr', 'snr'] },
+    { key: 'pn', name: 'Planetary nebulae', types: ['pn'] },
+    { key: 'cluster', name: 'Star clusters', types: ['oc', 'gc'] },
+    { key: 'star', name: 'Stars', types: ['star'] },
+    { key: 'other', name: 'Asterisms', types: ['pos'] }
+];
+
+// Greek letters by name, including the three-letter forms SIMBAD uses ("alf Lyr")
+const GREEK_LETTERS = {
+    alpha: 'α', alf: 'α', beta: 'β', bet: 'β', gamma: 'γ', gam: 'γ', delta: 'δ', del: 'δ',
+    epsilon: 'ε', eps: 'ε', zeta: 'ζ', zet: 'ζ', eta: 'η', theta: 'θ', tet: 'θ', iota: 'ι', iot: 'ι',
+    kappa: 'κ', kap: 'κ', lambda: 'λ', lam: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', ksi: 'ξ',
+    omicron: 'ο', omi: 'ο', pi: 'π', rho: 'ρ', sigma: 'σ', sig: 'σ', tau: 'τ',
+    upsilon: 'υ', ups: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', ome: 'ω'
+};
+
+// Catalog prefixes written out in full
+const CATALOG_WORDS = { messier: 'm', caldwell: 'c' };
+
+// Constellation genitives ("lyrae") to abbreviations ("lyr"), filled in when the catalog loads
+let genitives = {};
+
+/*
+Reduce a name to its search key: lower case, catalog words and Greek letter names replaced,
+constellation genitives abbreviated, then spaces and punctuation dropped
+
+Examples:
+  "Messier 31" -> "m31", "Alpha Lyrae" -> "αlyr", "Barnard's Star" -> "barnardsstar"
+*/
+export const normalizeKey = (text) => text
+    .toLowerCase()
+    .split(/[\s.\-_'’]+/)
+    .map(word => {
+        if (CATALOG_WORDS[word]) return CATALOG_WORDS[word];
+        const abbreviated = genitives[word] || word;
+
+        // Greek letter names may carry a superscript number: "kappa1", "pi5". This also turns
+        // the abbreviations Tau and Del into letters, the same way in queries and in the catalog
+        const greek = abbreviated.match(/^([a-z]+)(\d*)$/);
+        if (greek && GREEK_LETTERS[greek[1]]) return GREEK_LETTERS[greek[1]] + greek[2];
+        return abbreviated;
+    })
+    .join('')
+    .replace(/[^a-z0-9Ͱ-Ͽ]/g, '');
+
+// Edit distance between two short strings (a swapped pair of letters counts as one edit),
+// giving up once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    let previousMin = 0;
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        // A swap reaches back two rows, so only stop once two rows in a row are over the limit
+        if (rowMin > maxDistance && previousMin > maxDistance) return maxDistance + 1;
+        beforePrevious = previous;
+        previous = current;
+        previousMin = rowMin;
+    }
+    return previous[b.length];
+};
+
+// Turn a compact catalog.json row into an entry with precomputed search keys
+const hydrateEntry = ([designations, type, mag, size, constellation, ra, dec, motion]) => {
+    const [designation, name, ...others] = designations.split('|');
+    const aliases = [designation, name, ...others].filter(Boolean);
+
+    return {
+        designation,
+        name,
+        aliases,
+        type,
+        mag,
+        size,
+        constellation,
+        ra,
+        dec,
+        ...(motion ? {
+            motion: { pmRa: motion[0], pmDec: motion[1], parallax: motion[2], radialVelocity: motion[3] }
+        } : {}),
+        // Search keys: designations match exactly or on a prefix, common names also fuzzily
+        designationKeys: [designation, ...others].map(normalizeKey),
+        nameKey: name ? normalizeKey(name) : ''
+    };
+};
+
+let catalogPromise = null;
+
+/*
+Load the catalog (once; later calls share the same promise)
+
+Returns:
+  Promise of {entries, constellations}; constellations maps abbreviations to {name, genitive}
+*/
+export const loadCatalog = () => {
+    if (!catalogPromise) {
+        catalogPromise = import('./data/catalog.json').then(({ default: data }) => {
+            const constellations = {};
+            genitives = {};
+            data.constellations.forEach(([abbreviation, name, genitive]) => {
+                constellations[abbreviation] = { name, genitive };
+                genitives[genitive.toLowerCase()] = abbreviation.toLowerCase();
+            });
+
+            return { entries: data.objects.map(hydrateEntry), constellations };
+        });
+    }
+    return catalogPromise;
+};
+
+// Display name of an entry: "Andromeda Galaxy (M 31)", or just the designation
+export const formatEntryName = (entry) =>
+    entry.name ? `${entry.name} (${entry.designation})` : entry.designation;
+
+/*
+Score how well an entry matches a normalized query
+
+Returns:
+  100 exact, 80 designation prefix, 70 name prefix, 50 name substring,
+  30 or 20 for a name one or two typos away, 0 for no match
+*/
+const scoreEntry = (entry, queryKey, allowFuzzy) => {
+    if (entry.nameKey === queryKey || entry.designationKeys.includes(queryKey)) return 100;
+    if (entry.designationKeys.some(key => key.startsWith(queryKey))) return 80;
+    if (!entry.nameKey) return 0;
+    if (entry.nameKey.startsWith(queryKey)) return 70;
+    if (queryKey.length >= 3 && entry.nameKey.includes(queryKey)) return 50;
+
+    if (allowFuzzy) {
+        // Compare against the whole name and against the part typed so far
+        const maxDistance = queryKey.length >= 8 ? 2 : 1;
+        const distance = Math.min(
+            editDistance(queryKey, entry.nameKey, maxDistance),
+            editDistance(queryKey, entry.nameKey.slice(0, queryKey.length), maxDistance)
+        );
+        if (distance <= maxDistance) return 40 - 10 * distance;
+    }
+    return 0;
+};
+
+/*
+Search the catalog
+
+Parameters:
+  entries: catalog entries from loadCatalog()
+  query: any name or designation, as typed
+  limit: maximum number of matches
+
+Returns:
+  Array of {entry, score}, best match first; ties go to the brighter object
+*/
+export const searchCatalog = (entries, query, limit = 10) => {
+    const queryKey = normalizeKey(query);
+    if (!queryKey) return [];
+
+    // Typos are only forgiven in names: "NGC 7841" must not turn into NGC 7840
+    const allowFuzzy = queryKey.length >= 4 && !/\d/.test(queryKey);
+    const matches = [];
+
+    entries.forEach(entry => {
+        const score = scoreEntry(entry, queryKey, allowFuzzy);
+        if (score > 0) matches.push({ entry, score });
+    });
+
+    const magnitude = ({ entry }) => entry.mag === null ? 99 : entry.mag;
+    matches.sort((a, b) => b.score - a.score || magnitude(a) - magnitude(b));
+    return matches.slice(0, limit);
+};
+
+/*
+Find the single entry a name refers to
+
+Returns:
+  The best entry, or null. A query containing digits (a designation) must match exactly;
+  a plain name may match on a prefix, substring or typo
+*/
+export const findCatalogEntry = (entries, query) => {
+    const [best] = searchCatalog(entries, query, 1);
+    if (!best) return null;
+
+    const isDesignation = /\d/.test(normalizeKey(query));
+    return !isDesignation || best.score === 100 ? best.entry : null;
+};
@@ -0,0 +1,320 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getSunPosition, RaDec2AzEl, interpolatePathPoint } from '../astronomical.js';
+import { getTimeZoneOffset, formatZonedTime, formatUtcTime } from '../timezone.js';
+
+/*
+AltitudeChart React Component
+Plots altitude against time for every target, from the same samples as the polar plot,
+over shading for daylight and the three twilights, with the horizon, a minimum-altitude line
+and a "now" marker (kept current in live mode without redrawing the chart). Hovering moves
+a time cursor that the parent shares with PolarPlot.
+*/
+
+// Sky shading by Sun altitude: the first band whose minimum the Sun is above wins
+const SKY_BANDS = [
+    { name: 'Day', minSunAltitude: -0.833, color: 'rgba(120, 160, 220, 0.35)' },
+    { name: 'Civil twilight', minSunAltitude: -6, color: 'rgba(90, 120, 190, 0.3)' },
+    { name: 'Nautical twilight', minSunAltitude: -12, color: 'rgba(60, 80, 150, 0.3)' },
+    { name: 'Astronomical twilight', minSunAltitude: -18, color: 'rgba(40, 50, 110, 0.3)' }
+];
+
+// Sun altitude is sampled this often to place the band edges
+const SUN_STEP_MINUTES = 5;
+
+const AltitudeChart = ({
+    targetPaths = [],
+    observer,
+    minAltitude = 30,
+    onMinAltitudeChange,
+    cursorTime = null,
+    onCursorChange,
+    now = null,
+    timeZone = '',
+    width = 1024,
+    height = 280,
+    className = ''
+}) => {
+    const svgRef = useRef(null);
+    const chartRef = useRef(null); // {g, x, y, innerHeight} from the last full draw
+
+    // Keep the latest callback without redrawing the chart when its identity changes
+    const onCursorChangeRef = useRef(onCursorChange);
+    onCursorChangeRef.current = onCursorChange;
+
+    useEffect(() => {
+        const allPoints = targetPaths.flatMap(path => path.points || []);
+        if (allPoints.length < 2 || !observer) return;
+
+        // Clear any existing content
+        d3.select(svgRef.current).selectAll("*").remove();
+
+        const margin = { top: 20, right: 30, bottom: 35, left: 50 };
+        const innerWidth = width - margin.left - margin.right;
+        const innerHeight = height - margin.top - margin.bottom;
+
+        const start = d3.min(allPoints, d => d.time);
+        const end = d3.max(allPoints, d => d.time);
+
+        const x = d3.scaleTime().domain([start, end]).range([0, innerWidth]);
+        const y = d3.scaleLinear().domain([-30, 90]).range([innerHeight, 0]);
+
+        const svg = d3.select(svgRef.current)
+            .attr("width", width)
+            .attr("height", height);
+
+        const g = svg.append("g")
+            .attr("transform", `translate(${margin.left}, ${margin.top})`);
+
+        // Keep lines inside the plot area when an object dips far below the horizon
+        g.append("clipPath")
+            .attr("id", "altitude-chart-clip")
+            .append("rect")
+            .attr("width", innerWidth)
+            .attr("height", innerHeight);
+
+        // Twilight bands: sample the Sun's altitude and merge runs of the same band into one rect
+        const sunAltitude = (date) => {
+            const { ra, dec } = getSunPosition(date);
+            return RaDec2AzEl(ra, dec, observer.lat, observer.lon, date).el;
+        };
+        const bandAt = (date) => SKY_BANDS.findIndex(band => sunAltitude(date) > band.minSunAltitude);
+
+        const stepMs = SUN_STEP_MINUTES * 60000;
+        let runStart = start;
+        let runBand = bandAt(start);
+        const drawBand = (from, to, bandIndex) => {
+            if (bandIndex < 0) return; // Full darkness: no shading
+            g.append("rect")
+                .attr("class", "sky-band")
+                .attr("x", x(from))
+                .attr("y", 0)
+                .attr("width", Math.max(0, x(to) - x(from)))
+                .attr("height", innerHeight)
+                .style("fill", SKY_BANDS[bandIndex].color);
+        };
+        for (let t = start.getTime() + stepMs; t < end.getTime() + stepMs; t += stepMs) {
+            const date = new Date(Math.min(t, end.getTime()));
+            const band = bandAt(date);
+            if (band !== runBand || date.getTime() === end.getTime()) {
+                drawBand(runStart, date, runBand);
+                runStart = date;
+                runBand = band;
+            }
+        }
+
+        // Time axis ticks on whole hours of the site's clock, spaced out for long windows
+        const hourMs = 3600000;
+        const offsetMs = getTimeZoneOffset(start, timeZone) * 60000;
+        const tickStep = Math.max(1, Math.ceil((end - start) / hourMs / (width / 90))) * hourMs;
+        const firstTick = Math.ceil((start.getTime() + offsetMs) / hourMs) * hourMs - offsetMs;
+        const timeTicks = d3.range(firstTick, end.getTime() + 1, tickStep).map(t => new Date(t));
+
+        // Axes
+        g.append("g")
+            .attr("class", "chart-axis")
+            .attr("transform", `translate(0, ${innerHeight})`)
+            .call(d3.axisBottom(x).tickValues(timeTicks).tickFormat(d => formatZonedTime(d, timeZone)));
+
+        g.append("g")
+            .attr("class", "chart-axis")
+            .call(d3.axisLeft(y).tickValues([-30, -15, 0, 15, 30, 45, 60, 75, 90]).tickFormat(d => d + "°"));
+
+        g.append("text")
+            .attr("class", "chart-axis-label")
+            .attr("transform", "rotate(-90)")
+            .attr("x", -innerHeight / 2)
+            .attr("y", -38)
+            .style("text-anchor", "middle")
+            .text("Altitude");
+
+        // Horizon and minimum useful altitude
+        g.append("line")
+            .attr("class", "chart-horizon")
+            .attr("x1", 0)
+            .attr("x2", innerWidth)
+            .attr("y1", y(0))
+            .attr("y2", y(0));
+
+        if (minAltitude > 0) {
+            g.append("line")
+                .attr("class", "chart-min-altitude")
+                .attr("x1", 0)
+                .attr("x2", innerWidth)
+                .attr("y1", y(minAltitude))
+                .attr("y2", y(minAltitude));
+
+            g.append("text")
+                .attr("class", "chart-axis-label")
+                .attr("x", innerWidth - 4)
+                .attr("y", y(minAltitude) - 4)
+                .style("text-anchor", "end")
+                .text(`min ${minAltitude}°`);
+        }
+
+        // One altitude curve per target, the selected one on top
+        const altitudeLine = d3.line()
+            .x(d => x(d.time))
+            .y(d => y(d.el))
+            .curve(d3.curveMonotoneX);
+
+        const drawOrder = [...targetPaths].sort((a, b) => (a.selected ? 1 : 0) - (b.selected ? 1 : 0));
+        drawOrder.forEach(({ points, color, selected }) => {
+            if (!points || points.length === 0) return;
+            g.append("path")
+                .datum(points)
+                .attr("clip-path", "url(#altitude-chart-clip)")
+                .attr("d", altitudeLine)
+                .style("fill", "none")
+                .style("stroke", color)
+                .style("stroke-width", selected ? "3px" : "2px");
+        });
+
+        // The "now" marker and the cursor are drawn by their own effects into these layers,
+        // so clock ticks and hovering don't redraw the chart
+        g.append("g").attr("class", "now-layer");
+        g.append("g").attr("class", "cursor-layer");
+
+        // Transparent overlay that turns mouse position into a cursor time
+        g.append("rect")
+            .attr("width", innerWidth)
+            .attr("height", innerHeight)
+            .style("fill", "transparent")
+            .on("mousemove", (event) => {
+                const [mx] = d3.pointer(event);
+                if (onCursorChangeRef.current) onCursorChangeRef.current(x.invert(mx));
+            })
+            .on("mouseleave", () => {
+                if (onCursorChangeRef.current) onCursorChangeRef.current(null);
+            });
+
+        chartRef.current = { g, x, y, innerWidth, innerHeight };
+    }, [targetPaths, observer, minAltitude, timeZone, width, height]);
+
+    // "Now" marker, when the current time is on the chart
+    useEffect(() => {
+        if (!chartRef.current) return;
+        const { g, x, innerHeight } = chartRef.current;
+        const layer = g.select(".now-layer");
+        layer.selectAll("*").remove();
+
+        const time = now || new Date();
+        const [start, end] = x.domain();
+        if (time < start || time > end) return;
+
+        layer.append("line")
+            .attr("class", "chart-now")
+            .attr("x1", x(time))
+            .attr("x2", x(time))
+            .attr("y1", 0)
+            .attr("y2", innerHeight);
+
+        layer.append("text")
+            .attr("class", "chart-now-label")
+            .attr("x", x(time) + 4)
+            .attr("y", 12)
+            .text("Now");
+    }, [now, targetPaths, observer, minAltitude, timeZone, width, height]);
+
+    // Time cursor: a vertical line with each target's altitude at that moment
+    useEffect(() => {
+        if (!chartRef.current) return;
+        const { g, x, y, innerWidth, innerHeight } = chartRef.current;
+        const layer = g.select(".cursor-layer");
+        layer.selectAll("*").remove();
+        if (!cursorTime) return;
+
+        const [start, end] = x.domain();
+        if (cursorTime < start || cursorTime > end) return;
+
+        const cx = x(cursorTime);
+        layer.append("line")
+            .attr("class", "chart-cursor")
+            .attr("x1", cx)
+            .attr("x2", cx)
+            .attr("y1", 0)
+            .attr("y2", innerHeight);
+
+        const readings = targetPaths
+            .map(({ name, color, points }) => ({ name, color, point: interpolatePathPoint(points, cursorTime) }))
+            .filter(({ point }) => point);
+
+        readings.forEach(({ color, point }) => {
+            layer.append("circle")
+                .attr("cx", cx)
+                .attr("cy", y(Math.max(-30, point.el)))
+                .attr("r", 5)
+                .style("fill", color)
+                .style("stroke", "#ffffff")
+                .style("stroke-width", "1.5px");
+        });
+
+        // Readout box beside the cursor, flipped to the left near the right edge
+        const lines = [
+            `${formatZonedTime(cursorTime, timeZone)} (${formatUtcTime(cursorTime)})`,
+            ...readings.map(({ name, point }) => `${name}: ${point.el.toFixed(1)}°`)
+        ];
+        const boxWidth = d3.max(lines, line => line.length) * 7 + 16;
+        const boxX = cx + boxWidth + 12 > innerWidth ? cx - boxWidth - 8 : cx + 8;
+
+        layer.append("rect")
+            .attr("x", boxX)
+            .attr("y", 4)
+            .attr("width", boxWidth)
+            .attr("height", lines.length * 16 + 8)
+            .attr("rx", 3)
+            .style("fill", "rgba(0, 0, 0, 0.8)")
+            .style("stroke", "#888888");
+
+        lines.forEach((line, i) => {
+            layer.append("text")
+                .attr("x", boxX + 8)
+                .attr("y", 20 + i * 16)
+                .style("fill", i === 0 ? "#ffdd44" : readings[i - 1].color)
+                .style("font-size", "12px")
+                .text(line);
+        });
+    }, [cursorTime, targetPaths, observer, minAltitude, timeZone, width, height]);
+
+    const handleMinAltitudeChange = (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && onMinAltitudeChange) onMinAltitudeChange(value);
+    };
+
+    return (
+        <div className={`altitude-chart ${className}`}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                color: '#cccccc',
+                fontSize: '0.9rem',
+                marginBottom: '0.5rem'
+            }}>
+                <span>Altitude over time — hover to follow the targets on the sky plot</span>
+                <label>
+                    Minimum altitude{' '}
+                    <input
+                        type="number"
+                        min="0"
+                        max="89"
+                        value={minAltitude}
+                        onChange={handleMinAltitudeChange}
+                        style={{
+                            width: '4rem',
+                            padding: '0.25rem',
+                            borderRadius: '4px',
+                            border: '2px solid #555',
+                            backgroundColor: '#2a2a2a',
+                            color: '#ffffff',
+                            fontSize: '0.9rem'
+                        }}
+                    />°
+                </label>
+            </div>
+            <svg ref={svgRef}></svg>
+        </div>
+    );
+};
+
+export default AltitudeChart;
@@ -1,38 +1,90 @@
 import React from 'react';
 import CoordinateInput from './CoordinateInput.jsx';
 import SimbadSearch from './SimbadSearch.jsx';
+import { PLANETS } from '../planets.js';
+import { degToHms, degToDms, EPOCHS } from '../astronomical.js';
+import { angleToFields } from '../coordinates.js';
 
 /**
  * Astronomical Object Settings Component
- * Manages RA/Dec coordinates and SIMBAD search functionality
+ * Manages RA/Dec coordinates, SIMBAD search and planet selection for the selected target
  */
 const AstronomicalObjectSettings = ({
+    targetName,
     raCoordinates,
     decCoordinates,
     onRaChange,
     onDecChange,
-    onSimbadResult
+    onSimbadResult,
+    resolver,
+    resolverSettings,
+    onResolverSettingsChange,
+    observer,
+    recentSearches,
+    onRecentSearch,
+    epoch = 'J2000',
+    onEpochChange,
+    motion,
+    onMotionChange,
+    propagatedPosition,
+    selectedPlanet = '',
+    planetPosition,
+    onPlanetChange
 }) => {
     
+    // A pasted "RA Dec" pair fills both inputs
+    const handleCoordinatePair = (ra, dec) => {
+        onRaChange(angleToFields(ra, 'ra'));
+        onDecChange(angleToFields(dec, 'dec'));
+    };
+
     const handleSimbadSelect = (searchResult) => {
-        // Update coordinates when SIMBAD result is selected
-        onRaChange({
-            primary: Math.floor(searchResult.raHms.h),
-            secondary: Math.floor(searchResult.raHms.m),
-            tertiary: Math.round(searchResult.raHms.s * 100) / 100
-        });
-        
-        onDecChange({
-            primary: Math.floor(searchResult.decDms.d),
-            secondary: Math.floor(Math.abs(searchResult.decDms.m)),
-            tertiary: Math.round(Math.abs(searchResult.decDms.s) * 100) / 100
-        });
+        // Update coordinates when SIMBAD result is selected. Split from the decimal degrees
+        // rather than decDms, so a Dec just south of the equator keeps its sign
+        onRaChange(angleToFields(searchResult.ra, 'ra'));
+        onDecChange(angleToFields(searchResult.dec, 'dec'));
         
         if (onSimbadResult) {
             onSimbadResult(searchResult);
         }
     };
 
+    const handlePlanetChange = (e) => {
+        if (onPlanetChange) {
+            onPlanetChange(e.target.value);
+        }
+    };
+
+    const handleEpochChange = (e) => {
+        if (onEpochChange) {
+            onEpochChange(e.target.value);
+        }
+    };
+
+    const handleMotionChange = (field, value) => {
+        const parsedValue = parseFloat(value);
+        if (isNaN(parsedValue)) return;
+        if (onMotionChange) {
+            onMotionChange({ ...motion, [field]: parsedValue });
+        }
+    };
+
+    // Proper motion, parallax and radial velocity fields
+    const motionFields = [
+        { key: 'pmRa', label: 'PM RA·cos δ (mas/yr)' },
+        { key: 'pmDec', label: 'PM Dec (mas/yr)' },
+        { key: 'parallax', label: 'Parallax (mas)' },
+        { key: 'radialVelocity', label: 'Radial vel. (km/s)' }
+    ];
+
+    // Format an RA/Dec position for display
+    const formatPosition = ({ ra, dec }) => {
+        const raHms = degToHms(ra);
+        const decDms = degToDms(dec);
+        return `RA ${raHms.h}h ${raHms.m}m ${raHms.s.toFixed(0)}s, ` +
+               `Dec ${decDms.sign < 0 ? '−' : '+'}${decDms.d}° ${decDms.m}' ${decDms.s.toFixed(0)}"`;
+    };
+
     return (
         <div style={{ 
             background: 'rgba(68, 85, 119, 0.4)', 
@@ -44,11 +96,60 @@ const AstronomicalObjectSettings = ({
                 marginBottom: '1rem',
                 fontSize: '1.3rem'
             }}>
-                Astronomical Object
+                Astronomical Object{targetName ? `: ${targetName}` : ''}
             </h3>
             
             {/* SIMBAD Search */}
-            <SimbadSearch onResultSelect={handleSimbadSelect} />
+            <SimbadSearch
+                onResultSelect={handleSimbadSelect}
+                resolver={resolver}
+                resolverSettings={resolverSettings}
+                onResolverSettingsChange={onResolverSettingsChange}
+                observer={observer}
+                recentSearches={recentSearches}
+                onRecentSearch={onRecentSearch}
+            />
+
+            {/* Planet Selection */}
+            <div style={{ marginBottom: '1.5rem' }}>
+                <label style={{
+                    color: '#cccccc',
+                    fontSize: '0.9rem',
+                    marginBottom: '0.25rem',
+                    display: 'block'
+                }}>
+                    Or choose a planet
+                </label>
+                <select
+                    value={selectedPlanet}
+                    onChange={handlePlanetChange}
+                    style={{
+                        padding: '0.5rem',
+                        borderRadius: '4px',
+                        border: '2px solid #555',
+                        backgroundColor: '#2a2a2a',
+                        color: '#ffffff',
+                        fontSize: '1rem',
+                        cursor: 'pointer'
+                    }}
+                >
+                    <option value="">— Fixed RA/Dec below —</option>
+                    {PLANETS.map(planet => (
+                        <option key={planet.key} value={planet.key}>{planet.name}</option>
+                    ))}
+                </select>
+                {selectedPlanet && planetPosition && (
+                    <div style={{
+                        marginTop: '0.5rem',
+                        color: '#cccccc',
+                        fontSize: '0.8rem',
+                        fontStyle: 'italic'
+                    }}>
+                        {formatPosition(planetPosition)} on the observation date.
+                        Recomputed for every point on the path; editing RA/Dec switches back to a fixed target.
+                    </div>
+                )}
+            </div>
             
             {/* RA and Dec Coordinates */}
             <div style={{
@@ -61,6 +162,7 @@ const AstronomicalObjectSettings = ({
                     type="RA"
                     values={raCoordinates}
                     onChange={onRaChange}
+                    onPairChange={handleCoordinatePair}
                     label="Right Ascension"
                     showInline={true}
                 />
@@ -69,10 +171,88 @@ const AstronomicalObjectSettings = ({
                     type="Dec"
                     values={decCoordinates}
                     onChange={onDecChange}
+                    onPairChange={handleCoordinatePair}
                     label="Declination"
                     showInline={true}
                 />
             </div>
+
+            {/* Catalog Epoch */}
+            <div style={{ marginTop: '1rem', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <label style={{ color: '#cccccc', fontSize: '0.9rem' }}>Epoch</label>
+                <select
+                    value={epoch}
+                    onChange={handleEpochChange}
+                    disabled={!!selectedPlanet}
+                    style={{
+                        padding: '0.5rem',
+                        borderRadius: '4px',
+                        border: '2px solid #555',
+                        backgroundColor: '#2a2a2a',
+                        color: '#ffffff',
+                        fontSize: '1rem',
+                        cursor: 'pointer'
+                    }}
+                >
+                    {Object.keys(EPOCHS).map(name => (
+                        <option key={name} value={name}>{name}</option>
+                    ))}
+                </select>
+                <span style={{ color: '#cccccc', fontSize: '0.8rem', fontStyle: 'italic' }}>
+                    Precessed to the observation date, with nutation and aberration
+                </span>
+            </div>
+
+            {/* Proper Motion */}
+            {motion && !selectedPlanet && (
+                <div style={{
+                    marginTop: '1rem',
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(4, 1fr)',
+                    gap: '0.5rem'
+                }}>
+                    {motionFields.map(({ key, label }) => (
+                        <div key={key}>
+                            <label style={{
+                                color: '#cccccc',
+                                fontSize: '0.8rem',
+                                marginBottom: '0.25rem',
+                                display: 'block'
+                            }}>
+                                {label}
+                            </label>
+                            <input
+                                type="number"
+                                step="0.01"
+                                value={motion[key]}
+                                onChange={(e) => handleMotionChange(key, e.target.value)}
+                                style={{
+                                    width: '100%',
+                                    padding: '0.5rem',
+                                    borderRadius: '4px',
+                                    border: '2px solid #555',
+                                    backgroundColor: '#2a2a2a',
+                                    color: '#ffffff',
+                                    fontSize: '1rem'
+                                }}
+                            />
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {/* Coordinates Propagated to the Observation Date */}
+            {propagatedPosition && (
+                <div style={{
+                    marginTop: '0.75rem',
+                    color: '#cccccc',
+                    fontSize: '0.85rem',
+                    lineHeight: '1.5'
+                }}>
+                    <div>On the observation date ({epoch} equinox, proper motion applied): {formatPosition(propagatedPosition.mean)}</div>
+                    <div>Apparent (equinox of date): {formatPosition(propagatedPosition.apparent)}</div>
+                </div>
+            )}
         </div>
     );
 };
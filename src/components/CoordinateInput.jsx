@@ -1,13 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
+import {
+    parseAngle,
+    parseCoordinatePair,
+    angleToFields,
+    fieldsToAngle,
+    formatAngle
+} from '../coordinates.js';
+
+// Coordinate kinds used by coordinates.js for each input type
+const KINDS = { RA: 'ra', Dec: 'dec', Latitude: 'lat', Longitude: 'lon' };
 
 /**
  * Reusable coordinate input component for HMS (Hours/Minutes/Seconds) and DMS (Degrees/Minutes/Seconds)
  * @param {object} props
  * @param {string} props.type - 'RA', 'Dec', 'Latitude', or 'Longitude'  
- * @param {object} props.values - Current coordinate values {primary, arcminutes, arcseconds, direction?}
+ * @param {object} props.values - Current coordinate values {primary, arcminutes, arcseconds, direction?};
+ *   the degrees are unsigned and direction carries the sign: '+'/'-' for Dec, N/S or E/W for lat/lon
  * @param {function} props.onChange - Callback when values change
  * @param {object} props.bounds - Min/max values for validation
  * @param {string} props.label - Display label for the coordinate group
+ * @param {function} props.onPairChange - Optional callback (first, second) in degrees when a whole
+ *   pair such as "20h35m25s +60°14'47\"" is pasted into the text field
  */
 const CoordinateInput = ({ 
     type, 
@@ -15,15 +28,25 @@ const CoordinateInput = ({
     onChange, 
     bounds = {}, 
     label,
-    showInline = false 
+    showInline = false,
+    onPairChange
 }) => {
     const isRA = type === 'RA';
     const isLatLon = type === 'Latitude' || type === 'Longitude';
+    const kind = KINDS[type];
+
+    // Out-of-range keystrokes stay visible in their box, with an error, until they're fixed or abandoned
+    const [drafts, setDrafts] = useState({});
+    const [fieldError, setFieldError] = useState(null);
+
+    // The free-form text field: null while it just mirrors the boxes
+    const [text, setText] = useState(null);
+    const [textError, setTextError] = useState(null);
     
     // Default bounds for different coordinate types
     const defaultBounds = {
         RA: { primary: { min: 0, max: 23 }, secondary: { min: 0, max: 59 }, tertiary: { min: 0, max: 59.99 } },
-        Dec: { primary: { min: -90, max: 90 }, secondary: { min: 0, max: 59 }, tertiary: { min: 0, max: 59.99 } },
+        Dec: { primary: { min: 0, max: 90 }, secondary: { min: 0, max: 59 }, tertiary: { min: 0, max: 59.99 } },
         Latitude: { primary: { min: 0, max: 90 }, secondary: { min: 0, max: 59 }, tertiary: { min: 0, max: 59.99 } },
         Longitude: { primary: { min: 0, max: 180 }, secondary: { min: 0, max: 59 }, tertiary: { min: 0, max: 59.99 } }
     };
@@ -40,24 +63,74 @@ const CoordinateInput = ({
     
     const currentLabels = labels[type];
     
+    const fieldNames = {
+        primary: isRA ? 'Hours' : 'Degrees',
+        secondary: isRA ? 'Minutes' : 'Arcminutes',
+        tertiary: isRA ? 'Seconds' : 'Arcseconds'
+    };
+
     const handleInputChange = (field, value) => {
         const parsedValue = field === 'direction' ? value : 
                            field === 'tertiary' ? parseFloat(value) : parseInt(value);
         
-        if (field !== 'direction' && isNaN(parsedValue)) return;
-        
         // Validate bounds
         if (field !== 'direction') {
             const fieldBounds = currentBounds[field] || currentBounds.primary;
-            if (parsedValue < fieldBounds.min || parsedValue > fieldBounds.max) return;
+            if (isNaN(parsedValue) || parsedValue < fieldBounds.min || parsedValue > fieldBounds.max) {
+                setDrafts({ ...drafts, [field]: value });
+                setFieldError(`${fieldNames[field]} must be between ${fieldBounds.min} and ${fieldBounds.max}`);
+                return;
+            }
         }
-        
+
+        setDrafts({ ...drafts, [field]: undefined });
+        setFieldError(null);
         onChange({
             ...values,
             [field]: parsedValue
         });
     };
 
+    // Leaving a box with an invalid entry puts the last good value back
+    const handleInputBlur = (field) => {
+        if (drafts[field] === undefined) return;
+        setDrafts({ ...drafts, [field]: undefined });
+        setFieldError(null);
+    };
+
+    const fieldValue = (field) => drafts[field] !== undefined ? drafts[field] : values[field];
+
+    // Parse the text field: a single coordinate updates this input, a pasted pair goes to onPairChange
+    const commitText = (raw) => {
+        if (raw === null) return;
+        try {
+            onChange({ ...values, ...angleToFields(parseAngle(raw, kind), kind) });
+        } catch (singleError) {
+            if (!onPairChange) {
+                setText(raw);
+                setTextError(singleError.message);
+                return;
+            }
+            try {
+                const [first, second] = parseCoordinatePair(raw, isLatLon ? ['lat', 'lon'] : ['ra', 'dec']);
+                onPairChange(first, second);
+            } catch (pairError) {
+                setText(raw);
+                setTextError(singleError.message);
+                return;
+            }
+        }
+        setText(null);
+        setTextError(null);
+        setDrafts({});
+        setFieldError(null);
+    };
+
+    const handleTextPaste = (e) => {
+        e.preventDefault();
+        commitText(e.clipboardData.getData('text'));
+    };
+
     const inputStyle = {
         width: '70px',
         padding: '0.5rem',
@@ -87,6 +160,24 @@ const CoordinateInput = ({
         <div>
             {label && <h4 style={headerStyle}>{label}</h4>}
             <div style={containerStyle}>
+                {type === 'Dec' && (
+                    <div>
+                        <label style={labelStyle}>Sign</label>
+                        <select
+                            value={values.direction || '+'}
+                            onChange={(e) => handleInputChange('direction', e.target.value)}
+                            style={{
+                                ...inputStyle,
+                                width: '50px',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            <option value="+">+</option>
+                            <option value="-">−</option>
+                        </select>
+                    </div>
+                )}
+
                 <div>
                     <label style={labelStyle}>
                         {isRA ? 'Hours' : 'Degrees'}
@@ -96,8 +187,9 @@ const CoordinateInput = ({
                             type="number"
                             min={currentBounds.primary.min}
                             max={currentBounds.primary.max}
-                            value={values.primary}
+                            value={fieldValue('primary')}
                             onChange={(e) => handleInputChange('primary', e.target.value)}
+                            onBlur={() => handleInputBlur('primary')}
                             style={inputStyle}
                         />
                         <span style={{ color: '#cccccc', fontSize: '1rem' }}>
@@ -115,8 +207,9 @@ const CoordinateInput = ({
                             type="number"
                             min={currentBounds.secondary.min}
                             max={currentBounds.secondary.max}
-                            value={values.secondary}
+                            value={fieldValue('secondary')}
                             onChange={(e) => handleInputChange('secondary', e.target.value)}
+                            onBlur={() => handleInputBlur('secondary')}
                             style={inputStyle}
                         />
                         <span style={{ color: '#cccccc', fontSize: '1rem' }}>
@@ -135,8 +228,9 @@ const CoordinateInput = ({
                             min={currentBounds.tertiary.min}
                             max={currentBounds.tertiary.max}
                             step={isRA ? "0.01" : "0.1"}
-                            value={values.tertiary}
+                            value={fieldValue('tertiary')}
                             onChange={(e) => handleInputChange('tertiary', e.target.value)}
+                            onBlur={() => handleInputBlur('tertiary')}
                             style={inputStyle}
                         />
                         <span style={{ color: '#cccccc', fontSize: '1rem' }}>
@@ -172,6 +266,42 @@ const CoordinateInput = ({
                     </div>
                 )}
             </div>
+
+            {/* Free-form entry: type or paste the whole coordinate (or an RA/Dec or lat/lon pair) */}
+            <div style={{ marginTop: '0.5rem' }}>
+                <input
+                    type="text"
+                    value={text !== null ? text : formatAngle(fieldsToAngle(values, kind), kind)}
+                    onChange={(e) => {
+                        setText(e.target.value);
+                        setTextError(null);
+                    }}
+                    onBlur={() => commitText(text)}
+                    onKeyDown={(e) => {
+                        if (e.key === 'Enter') commitText(text);
+                        if (e.key === 'Escape') {
+                            setText(null);
+                            setTextError(null);
+                        }
+                    }}
+                    onPaste={handleTextPaste}
+                    placeholder={isRA ? '20h35m25s, 20:35:25 or 308.85' : isLatLon ? "42°30'N or -33.87" : "+60°14'47\" or 60.25"}
+                    title="Type or paste a coordinate and press Enter"
+                    style={{
+                        ...inputStyle,
+                        width: '100%',
+                        maxWidth: '260px',
+                        fontFamily: 'monospace',
+                        borderColor: textError ? '#ff6666' : '#555'
+                    }}
+                />
+            </div>
+
+            {(textError || fieldError) && (
+                <div style={{ color: '#ff6666', fontSize: '0.8rem', marginTop: '0.25rem' }}>
+                    {textError || fieldError}
+                </div>
+            )}
         </div>
     );
 };
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import { parseHorizonFile, serializeHorizon, setHorizonPoint, removeHorizonPoint } from '../horizon.js';
+
+/**
+ * Horizon Editor Component
+ * Edits the local horizon profile (azimuth → minimum altitude) and imports horizon files
+ * @param {object} props
+ * @param {Array} props.profile - Sorted array of {az, alt} points
+ * @param {function} props.onChange - Callback with the updated profile
+ */
+const HorizonEditor = ({ profile, onChange }) => {
+    const [newAz, setNewAz] = useState('');
+    const [newAlt, setNewAlt] = useState('');
+    const [importError, setImportError] = useState('');
+
+    const inputStyle = {
+        width: '70px',
+        padding: '0.4rem',
+        borderRadius: '4px',
+        border: '2px solid #555',
+        backgroundColor: '#2a2a2a',
+        color: '#ffffff',
+        fontSize: '0.9rem'
+    };
+
+    const buttonStyle = {
+        padding: '0.4rem 0.8rem',
+        borderRadius: '4px',
+        border: 'none',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        fontWeight: 'bold',
+        color: '#ffffff'
+    };
+
+    const handleAddPoint = () => {
+        const az = parseFloat(newAz);
+        const alt = parseFloat(newAlt);
+        if (isNaN(az) || isNaN(alt) || az < 0 || az >= 360 || alt < -90 || alt > 90) {
+            setImportError('Azimuth must be 0-359.9° and altitude -90-90°');
+            return;
+        }
+        setImportError('');
+        onChange(setHorizonPoint(profile, az, alt));
+        setNewAz('');
+        setNewAlt('');
+    };
+
+    const handleFileImport = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                onChange(parseHorizonFile(reader.result));
+                setImportError('');
+            } catch (error) {
+                setImportError(`Could not import ${file.name}: ${error.message}`);
+            }
+        };
+        reader.onerror = () => setImportError(`Could not read ${file.name}`);
+        reader.readAsText(file);
+        e.target.value = ''; // Allow re-importing the same file
+    };
+
+    const handleExport = () => {
+        const blob = new Blob([serializeHorizon(profile)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'horizon.csv';
+        link.click();
+        // Some browsers start the download after click() returns, so the URL has to outlive it
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    };
+
+    return (
+        <div>
+            <div style={{ color: '#cccccc', fontSize: '0.8rem', fontStyle: 'italic', marginBottom: '0.5rem' }}>
+                Minimum visible altitude by azimuth (trees, houses). Blocked sky is shaded on the plot.
+            </div>
+
+            {profile.length > 0 && (
+                <div style={{ maxHeight: '160px', overflowY: 'auto', marginBottom: '0.5rem' }}>
+                    <table style={{ width: '100%', color: '#cccccc', fontSize: '0.85rem', borderCollapse: 'collapse' }}>
+                        <thead>
+                            <tr style={{ color: '#ffdd44', textAlign: 'left' }}>
+                                <th>Azimuth</th>
+                                <th>Altitude</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {profile.map((point, index) => (
+                                <tr key={point.az}>
+                                    <td>{point.az}°</td>
+                                    <td>{point.alt}°</td>
+                                    <td>
+                                        <button
+                                            onClick={() => onChange(removeHorizonPoint(profile, index))}
+                                            style={{ ...buttonStyle, padding: '0.1rem 0.5rem', backgroundColor: '#884444' }}
+                                        >
+                                            ✕
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap' }}>
+                <input
+                    type="number"
+                    placeholder="Az °"
+                    value={newAz}
+                    onChange={(e) => setNewAz(e.target.value)}
+                    style={inputStyle}
+                />
+                <input
+                    type="number"
+                    placeholder="Alt °"
+                    value={newAlt}
+                    onChange={(e) => setNewAlt(e.target.value)}
+                    style={inputStyle}
+                />
+                <button onClick={handleAddPoint} style={{ ...buttonStyle, backgroundColor: '#4A9EFF' }}>
+                    Add Point
+                </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginTop: '0.5rem' }}>
+                <label style={{ ...buttonStyle, backgroundColor: '#556677' }}>
+                    Import CSV / .hzn
+                    <input
+                        type="file"
+                        accept=".csv,.hzn,.txt"
+                        onChange={handleFileImport}
+                        style={{ display: 'none' }}
+                    />
+                </label>
+                <button
+                    onClick={handleExport}
+                    disabled={profile.length === 0}
+                    style={{ ...buttonStyle, backgroundColor: profile.length === 0 ? '#666' : '#556677' }}
+                >
+                    Export CSV
+                </button>
+                <button
+                    onClick={() => onChange([])}
+                    disabled={profile.length === 0}
+                    style={{ ...buttonStyle, backgroundColor: profile.length === 0 ? '#666' : '#884444' }}
+                >
+                    Clear
+                </button>
+            </div>
+
+            {importError && (
+                <div style={{
+                    marginTop: '0.5rem',
+                    padding: '0.5rem',
+                    backgroundColor: 'rgba(255, 102, 102, 0.1)',
+                    border: '1px solid #ff6666',
+                    borderRadius: '4px',
+                    color: '#ff6666',
+                    fontSize: '0.85rem'
+                }}>
+                    {importError}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HorizonEditor;
@@ -1,21 +1,59 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import CoordinateInput from './CoordinateInput.jsx';
+import HorizonEditor from './HorizonEditor.jsx';
+import PlaceSearch from './PlaceSearch.jsx';
+import SiteSelector from './SiteSelector.jsx';
+import {
+    isValidTimeZone,
+    getBrowserTimeZone,
+    listTimeZones,
+    getTimeZoneOffset,
+    formatUtcOffset,
+    formatZonedDate,
+    formatZonedTime,
+    formatUtcTime,
+    zonedTimeToDate
+} from '../timezone.js';
+import { angleToFields, fieldsToAngle } from '../coordinates.js';
+
+// IANA zone suggestions for the time zone field
+const TIME_ZONES = listTimeZones();
 
 /**
  * Observer Settings Component  
  * Manages observer location, observation date, and time range settings
  */
 const ObserverSettings = ({
+    sites,
+    activeSiteId,
     latitudeCoordinates,
     longitudeCoordinates,
+    elevation = 0,
     observationDate,
+    timeZone = '',
     startTime,
     endTime,
+    stepMinutes = 60,
+    timeWindowMode = 'fixed',
+    twilightTimes,
+    darkWindow,
+    altitudeOptions,
+    horizonProfile,
+    onSiteSelect,
+    onSiteAdd,
+    onSiteRename,
+    onSiteRemove,
     onLatitudeChange,
     onLongitudeChange,
+    onElevationChange,
     onDateChange,
+    onTimeZoneChange,
     onStartTimeChange,
-    onEndTimeChange
+    onEndTimeChange,
+    onStepMinutesChange,
+    onTimeWindowModeChange,
+    onAltitudeOptionsChange,
+    onHorizonChange
 }) => {
 
     const inputStyle = {
@@ -34,30 +72,167 @@ const ObserverSettings = ({
         display: 'block'
     };
 
-    const formatDateForInput = (date) => {
-        return date.toISOString().split('T')[0];
+    // A pasted "lat lon" pair fills both inputs
+    const handleLatLonPair = (lat, lon) => {
+        if (onLatitudeChange) onLatitudeChange(angleToFields(lat, 'lat'));
+        if (onLongitudeChange) onLongitudeChange(angleToFields(lon, 'lon'));
+    };
+
+    const handleElevationChange = (value) => {
+        if (!isNaN(value) && onElevationChange) onElevationChange(value);
+    };
+
+    // A gazetteer place brings its elevation and time zone along
+    const handlePlaceSelect = (place) => {
+        handleLatLonPair(place.lat, place.lon);
+        handleElevationChange(place.elevation);
+        if (onTimeZoneChange) onTimeZoneChange(place.timeZone);
+    };
+
+    // "Use my location": the browser asks for permission, then reports a position (and an
+    // elevation when the device has GPS). The time zone is left alone, since it can't be looked up offline
+    const [locating, setLocating] = useState(false);
+    const [locationError, setLocationError] = useState(null);
+
+    const handleUseMyLocation = () => {
+        if (!navigator.geolocation) {
+            setLocationError('This browser cannot report its location');
+            return;
+        }
+        setLocating(true);
+        setLocationError(null);
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) => {
+                setLocating(false);
+                handleLatLonPair(coords.latitude, coords.longitude);
+                if (coords.altitude !== null) handleElevationChange(Math.round(coords.altitude));
+            },
+            (error) => {
+                setLocating(false);
+                setLocationError(error.code === error.PERMISSION_DENIED
+                    ? 'Location permission was denied'
+                    : 'Could not get a position from the browser');
+            },
+            { enableHighAccuracy: true, timeout: 15000, maximumAge: 600000 }
+        );
     };
 
+    // Decimal-degree entry, kept in sync with the DMS inputs. Drafts hold what is being typed
+    // until Enter or leaving the field, so "-3" isn't applied on the way to "-33.87"
+    const [decimalDrafts, setDecimalDrafts] = useState({});
+    const [decimalError, setDecimalError] = useState(null);
+
+    const decimalFields = [
+        { kind: 'lat', label: 'Latitude (°, + North)', limit: 90, values: latitudeCoordinates, onChange: onLatitudeChange },
+        { kind: 'lon', label: 'Longitude (°, + East)', limit: 180, values: longitudeCoordinates, onChange: onLongitudeChange }
+    ];
+
+    const commitDecimal = ({ kind, label, limit, onChange }) => {
+        const draft = decimalDrafts[kind];
+        if (draft === undefined) return;
+        const value = Number(draft.replace('−', '-').trim());
+        if (!draft.trim() || isNaN(value) || Math.abs(value) > limit) {
+            setDecimalError(`${label.split(' ')[0]} must be a number between −${limit} and ${limit}`);
+            return;
+        }
+        setDecimalDrafts({ ...decimalDrafts, [kind]: undefined });
+        setDecimalError(null);
+        if (onChange) onChange(angleToFields(value, kind));
+    };
+
+    // The date field shows and sets the calendar day at the site, not in UTC or the browser's zone
+    const formatDateForInput = (date) => formatZonedDate(date, timeZone);
+
     const handleDateChange = (e) => {
-        if (onDateChange) {
-            onDateChange(new Date(e.target.value));
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(e.target.value);
+        if (match && onDateChange) {
+            // Noon at the site sits safely inside the chosen day
+            const [, year, month, day] = match.map(Number);
+            onDateChange(zonedTimeToDate({ year, month, day, hour: 12 }, timeZone));
         }
     };
 
+    // The zone being typed; only valid zones are passed up
+    const [timeZoneText, setTimeZoneText] = useState(timeZone);
+    useEffect(() => setTimeZoneText(timeZone), [timeZone]);
+
+    const handleTimeZoneChange = (value) => {
+        setTimeZoneText(value);
+        if (isValidTimeZone(value.trim()) && onTimeZoneChange) {
+            onTimeZoneChange(value.trim());
+        }
+    };
+
+    const timeZoneValid = isValidTimeZone(timeZoneText.trim());
+    const now = new Date();
+
+    // Start and end times are hours of the day with the minutes as a fraction (18.5 = 18:30)
+    const formatTimeForInput = (hours) => {
+        const minutes = Math.round(hours * 60);
+        const h = Math.floor(minutes / 60).toString().padStart(2, '0');
+        const m = (minutes % 60).toString().padStart(2, '0');
+        return `${h}:${m}`;
+    };
+
+    const parseTimeInput = (value) => {
+        const match = /^(\d{1,2}):(\d{2})/.exec(value);
+        if (!match) return NaN;
+        const h = parseInt(match[1]);
+        const m = parseInt(match[2]);
+        return h <= 23 && m <= 59 ? h + m / 60 : NaN;
+    };
+
     const handleStartTimeChange = (e) => {
-        const value = parseInt(e.target.value);
-        if (!isNaN(value) && value >= 0 && value <= 23 && onStartTimeChange) {
+        const value = parseTimeInput(e.target.value);
+        if (!isNaN(value) && onStartTimeChange) {
             onStartTimeChange(value);
         }
     };
 
     const handleEndTimeChange = (e) => {
-        const value = parseInt(e.target.value);
-        if (!isNaN(value) && value >= 0 && value <= 23 && onEndTimeChange) {
+        const value = parseTimeInput(e.target.value);
+        if (!isNaN(value) && onEndTimeChange) {
             onEndTimeChange(value);
         }
     };
 
+    const handleStepMinutesChange = (e) => {
+        const value = parseInt(e.target.value);
+        if (!isNaN(value) && onStepMinutesChange) {
+            onStepMinutesChange(value);
+        }
+    };
+
+    const handleTimeWindowModeChange = (e) => {
+        if (onTimeWindowModeChange) {
+            onTimeWindowModeChange(e.target.value);
+        }
+    };
+
+    const handleAltitudeOptionChange = (field, value) => {
+        if (field !== 'apparent' && isNaN(value)) return;
+        if (onAltitudeOptionsChange) {
+            onAltitudeOptionsChange({ ...altitudeOptions, [field]: value });
+        }
+    };
+
+    // Format a twilight event time on the site's clock and in UTC, or describe why there isn't one
+    const formatEventTime = (time, state) => {
+        if (time) return `${formatZonedTime(time, timeZone)} (${formatUtcTime(time)})`;
+        if (state === 'alwaysAbove') return 'Sun stays above';
+        if (state === 'alwaysBelow') return 'Sun stays below';
+        return '—';
+    };
+
+    const twilightRows = [
+        { key: 'sun', label: 'Sunset / Sunrise (0°)' },
+        { key: 'civil', label: 'Civil (−6°)' },
+        { key: 'nautical', label: 'Nautical (−12°)' },
+        { key: 'astronomical', label: 'Astronomical (−18°)' }
+    ];
+
+    const isDarkWindowMode = timeWindowMode === 'astronomical';
+
     return (
         <div style={{
             background: 'rgba(68, 85, 119, 0.4)',
@@ -88,10 +263,48 @@ const ObserverSettings = ({
                         Observer Location
                     </h4>
 
+                    {sites && (
+                        <SiteSelector
+                            sites={sites}
+                            activeSiteId={activeSiteId}
+                            onSelect={onSiteSelect}
+                            onAdd={onSiteAdd}
+                            onRename={onSiteRename}
+                            onRemove={onSiteRemove}
+                        />
+                    )}
+
+                    {/* Place Lookup and Geolocation */}
+                    <div style={{ marginBottom: '1rem' }}>
+                        <label style={labelStyle}>Find a Place</label>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <div style={{ flex: 1 }}>
+                                <PlaceSearch onPlaceSelect={handlePlaceSelect} />
+                            </div>
+                            <button
+                                onClick={handleUseMyLocation}
+                                disabled={locating}
+                                title="Ask the browser for this device's position"
+                                style={{
+                                    ...inputStyle,
+                                    cursor: locating ? 'wait' : 'pointer'
+                                }}
+                            >
+                                {locating ? 'Locating...' : 'Use my location'}
+                            </button>
+                        </div>
+                        {locationError && (
+                            <div style={{ marginTop: '0.25rem', color: '#ff6666', fontSize: '0.8rem' }}>
+                                {locationError}
+                            </div>
+                        )}
+                    </div>
+
                     <CoordinateInput
                         type="Latitude"
                         values={latitudeCoordinates}
                         onChange={onLatitudeChange}
+                        onPairChange={handleLatLonPair}
                         label="Latitude"
                         showInline={false}
                     />
@@ -100,9 +313,99 @@ const ObserverSettings = ({
                         type="Longitude"
                         values={longitudeCoordinates}
                         onChange={onLongitudeChange}
+                        onPairChange={handleLatLonPair}
                         label="Longitude"
                         showInline={false}
                     />
+
+                    {/* Decimal Degrees */}
+                    <div style={{ marginBottom: '1rem' }}>
+                        <div style={{ display: 'flex', gap: '1rem' }}>
+                            {decimalFields.map(field => (
+                                <div key={field.kind}>
+                                    <label style={labelStyle}>{field.label}</label>
+                                    <input
+                                        type="text"
+                                        inputMode="decimal"
+                                        value={decimalDrafts[field.kind] !== undefined
+                                            ? decimalDrafts[field.kind]
+                                            : fieldsToAngle(field.values, field.kind).toFixed(5)}
+                                        onChange={(e) => setDecimalDrafts({ ...decimalDrafts, [field.kind]: e.target.value })}
+                                        onBlur={() => commitDecimal(field)}
+                                        onKeyDown={(e) => e.key === 'Enter' && commitDecimal(field)}
+                                        style={{ ...inputStyle, width: '140px' }}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                        {decimalError && (
+                            <div style={{ marginTop: '0.25rem', color: '#ff6666', fontSize: '0.8rem' }}>
+                                {decimalError}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Elevation */}
+                    <div style={{ marginBottom: '1rem' }}>
+                        <label style={labelStyle}>Elevation (m above sea level)</label>
+                        <input
+                            type="number"
+                            step="1"
+                            value={elevation}
+                            onChange={(e) => handleElevationChange(parseFloat(e.target.value))}
+                            style={{ ...inputStyle, width: '120px' }}
+                        />
+                        <div style={{ marginTop: '0.25rem', color: '#cccccc', fontSize: '0.8rem' }}>
+                            Lowers the air pressure used for refraction, and rise/set times allow for the dip of the horizon
+                        </div>
+                    </div>
+
+                    {/* Atmospheric Refraction */}
+                    {altitudeOptions && (
+                        <div>
+                            <label style={{ ...labelStyle, cursor: 'pointer' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={altitudeOptions.apparent}
+                                    onChange={(e) => handleAltitudeOptionChange('apparent', e.target.checked)}
+                                    style={{ marginRight: '0.5rem' }}
+                                />
+                                Apparent altitude (correct for refraction)
+                            </label>
+                            {altitudeOptions.apparent && (
+                                <div style={{ display: 'flex', gap: '1rem', marginTop: '0.5rem' }}>
+                                    <div>
+                                        <label style={labelStyle}>Temperature (°C)</label>
+                                        <input
+                                            type="number"
+                                            value={altitudeOptions.temperature}
+                                            onChange={(e) => handleAltitudeOptionChange('temperature', parseFloat(e.target.value))}
+                                            style={{ ...inputStyle, width: '90px' }}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label style={labelStyle}>Sea-level pressure (hPa)</label>
+                                        <input
+                                            type="number"
+                                            value={altitudeOptions.pressure}
+                                            onChange={(e) => handleAltitudeOptionChange('pressure', parseFloat(e.target.value))}
+                                            style={{ ...inputStyle, width: '90px' }}
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {/* Local Horizon Profile */}
+                    {horizonProfile && (
+                        <details style={{ marginTop: '1rem' }}>
+                            <summary style={{ color: '#ffdd44', cursor: 'pointer', marginBottom: '0.5rem' }}>
+                                Local Horizon ({horizonProfile.length} points)
+                            </summary>
+                            <HorizonEditor profile={horizonProfile} onChange={onHorizonChange} />
+                        </details>
+                    )}
                 </div>
 
                 {/* Observation Date and Time Range Column */}
@@ -129,6 +432,64 @@ const ObserverSettings = ({
                         />
                     </div>
 
+                    {/* Site Time Zone */}
+                    <div style={{ marginBottom: '1.5rem' }}>
+                        <label style={labelStyle}>Site Time Zone (IANA name or UTC offset)</label>
+                        <div style={{ display: 'flex', gap: '0.5rem' }}>
+                            <input
+                                type="text"
+                                list="starpath-time-zones"
+                                value={timeZoneText}
+                                onChange={(e) => handleTimeZoneChange(e.target.value)}
+                                placeholder="America/Santiago or UTC-3"
+                                style={{
+                                    ...inputStyle,
+                                    flex: 1,
+                                    borderColor: timeZoneValid ? '#555' : '#ff6666'
+                                }}
+                            />
+                            <button
+                                onClick={() => handleTimeZoneChange(getBrowserTimeZone())}
+                                title="Use this computer's time zone"
+                                style={{
+                                    ...inputStyle,
+                                    cursor: 'pointer'
+                                }}
+                            >
+                                This computer
+                            </button>
+                        </div>
+                        <datalist id="starpath-time-zones">
+                            {TIME_ZONES.map(zone => <option key={zone} value={zone} />)}
+                        </datalist>
+                        <div style={{
+                            marginTop: '0.25rem',
+                            color: timeZoneValid ? '#cccccc' : '#ff6666',
+                            fontSize: '0.8rem'
+                        }}>
+                            {timeZoneValid
+                                ? `${formatUtcOffset(getTimeZoneOffset(now, timeZone))} · site time now ${formatZonedTime(now, timeZone)}, ${formatUtcTime(now)}`
+                                : 'Unknown time zone: use a name like Europe/Madrid or an offset like UTC+5:30'}
+                        </div>
+                    </div>
+
+                    {/* Time Window Mode */}
+                    <div style={{ marginBottom: '1rem' }}>
+                        <label style={labelStyle}>Time Window</label>
+                        <select
+                            value={timeWindowMode}
+                            onChange={handleTimeWindowModeChange}
+                            style={{
+                                ...inputStyle,
+                                width: '100%',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            <option value="fixed">Fixed hours</option>
+                            <option value="astronomical">Astronomical dusk to dawn</option>
+                        </select>
+                    </div>
+
                     {/* Time Range */}
                     <div style={{
                         display: 'grid',
@@ -136,52 +497,97 @@ const ObserverSettings = ({
                         gap: '1rem'
                     }}>
                         <div>
-                            <label style={labelStyle}>Start Time (24h)</label>
-                            <select
-                                value={startTime}
+                            <label style={labelStyle}>Start Time (site, 24h)</label>
+                            <input
+                                type="time"
+                                step="60"
+                                value={formatTimeForInput(startTime)}
                                 onChange={handleStartTimeChange}
+                                disabled={isDarkWindowMode && !!darkWindow}
                                 style={{
                                     ...inputStyle,
-                                    width: '100%',
-                                    cursor: 'pointer'
+                                    width: '100%'
                                 }}
-                            >
-                                {Array.from({ length: 24 }, (_, i) => (
-                                    <option key={i} value={i}>
-                                        {i.toString().padStart(2, '0')}:00
-                                    </option>
-                                ))}
-                            </select>
+                            />
                         </div>
 
                         <div>
-                            <label style={labelStyle}>End Time (24h)</label>
-                            <select
-                                value={endTime}
+                            <label style={labelStyle}>End Time (site, 24h)</label>
+                            <input
+                                type="time"
+                                step="60"
+                                value={formatTimeForInput(endTime)}
                                 onChange={handleEndTimeChange}
+                                disabled={isDarkWindowMode && !!darkWindow}
                                 style={{
                                     ...inputStyle,
-                                    width: '100%',
-                                    cursor: 'pointer'
+                                    width: '100%'
                                 }}
-                            >
-                                {Array.from({ length: 24 }, (_, i) => (
-                                    <option key={i} value={i}>
-                                        {i.toString().padStart(2, '0')}:00
-                                    </option>
-                                ))}
-                            </select>
+                            />
                         </div>
                     </div>
 
+                    {/* Sampling Step */}
+                    <div style={{ marginTop: '1rem' }}>
+                        <label style={labelStyle}>Path Sampling Step</label>
+                        <select
+                            value={stepMinutes}
+                            onChange={handleStepMinutesChange}
+                            style={{
+                                ...inputStyle,
+                                width: '100%',
+                                cursor: 'pointer'
+                            }}
+                        >
+                            {/* A shared link may ask for a step that isn't one of the presets */}
+                            {[...new Set([1, 5, 10, 30, 60, stepMinutes])].sort((x, y) => x - y).map(minutes => (
+                                <option key={minutes} value={minutes}>
+                                    {minutes === 60 ? 'Every hour' : `Every ${minutes} minute${minutes === 1 ? '' : 's'}`}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
                     <div style={{
                         marginTop: '0.5rem',
                         color: '#cccccc',
                         fontSize: '0.8rem',
                         fontStyle: 'italic'
                     }}>
-                        Use crossing midnight times (e.g., 19:00 to 06:00) for nighttime observations
+                        {!isDarkWindowMode
+                            ? 'Use crossing midnight times (e.g., 19:00 to 06:00) for nighttime observations'
+                            : darkWindow
+                                ? `Using ${formatEventTime(darkWindow.start)} to ${formatEventTime(darkWindow.end)}`
+                                : 'No astronomical darkness on this date, using the fixed hours above'}
                     </div>
+
+                    {/* Sun and Twilight Times */}
+                    {twilightTimes && (
+                        <table style={{
+                            marginTop: '1rem',
+                            width: '100%',
+                            color: '#cccccc',
+                            fontSize: '0.85rem',
+                            borderCollapse: 'collapse'
+                        }}>
+                            <thead>
+                                <tr style={{ color: '#ffdd44', textAlign: 'left' }}>
+                                    <th>Sun</th>
+                                    <th>Dusk</th>
+                                    <th>Dawn</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {twilightRows.map(({ key, label }) => (
+                                    <tr key={key}>
+                                        <td>{label}</td>
+                                        <td>{formatEventTime(twilightTimes[key].dusk, twilightTimes[key].state)}</td>
+                                        <td>{formatEventTime(twilightTimes[key].dawn, twilightTimes[key].state)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
                 </div>
             </div>
         </div>
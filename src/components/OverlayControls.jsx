@@ -0,0 +1,90 @@
+import React from 'react';
+
+/**
+ * Overlay Controls Component
+ * Toggles the grid layers drawn on the polar plot
+ * @param {object} props
+ * @param {object} props.overlays - {altAzGrid, equatorialGrid, equator, meridian, decStep, haStep}
+ * @param {function} props.onChange - Callback with the updated overlays object
+ */
+const OverlayControls = ({ overlays, onChange }) => {
+
+    const handleChange = (field, value) => {
+        if (onChange) {
+            onChange({ ...overlays, [field]: value });
+        }
+    };
+
+    const layers = [
+        { key: 'altAzGrid', label: 'Alt/Az grid', color: '#888888' },
+        { key: 'equatorialGrid', label: 'Dec/HA grid', color: '#66bb88' },
+        { key: 'equator', label: 'Celestial equator', color: '#44dd88' },
+        { key: 'meridian', label: 'Meridian', color: '#dd88ff' }
+    ];
+
+    const selectStyle = {
+        padding: '0.25rem',
+        borderRadius: '4px',
+        border: '2px solid #555',
+        backgroundColor: '#2a2a2a',
+        color: '#ffffff',
+        fontSize: '0.9rem',
+        cursor: 'pointer'
+    };
+
+    return (
+        <div style={{
+            display: 'flex',
+            flexWrap: 'wrap',
+            justifyContent: 'center',
+            alignItems: 'center',
+            gap: '1.25rem',
+            marginBottom: '1rem',
+            color: '#cccccc',
+            fontSize: '0.9rem'
+        }}>
+            {layers.map(({ key, label, color }) => (
+                <label key={key} style={{ cursor: 'pointer' }}>
+                    <input
+                        type="checkbox"
+                        checked={overlays[key]}
+                        onChange={(e) => handleChange(key, e.target.checked)}
+                        style={{ marginRight: '0.4rem' }}
+                    />
+                    <span style={{ color }}>{label}</span>
+                </label>
+            ))}
+
+            {overlays.equatorialGrid && (
+                <>
+                    <label>
+                        Dec every{' '}
+                        <select
+                            value={overlays.decStep}
+                            onChange={(e) => handleChange('decStep', parseInt(e.target.value))}
+                            style={selectStyle}
+                        >
+                            {[10, 15, 30].map(step => (
+                                <option key={step} value={step}>{step}°</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        HA every{' '}
+                        <select
+                            value={overlays.haStep}
+                            onChange={(e) => handleChange('haStep', parseInt(e.target.value))}
+                            style={selectStyle}
+                        >
+                            {[1, 2, 3].map(step => (
+                                <option key={step} value={step}>{step}h</option>
+                            ))}
+                        </select>
+                    </label>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default OverlayControls;
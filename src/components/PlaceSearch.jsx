@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { searchPlaces } from '../gazetteer.js';
+
+/**
+ * Place Search Component
+ * Looks up cities and observatories by name in the offline gazetteer
+ * @param {object} props
+ * @param {function} props.onPlaceSelect - Callback with the chosen place {name, region, kind, lat, lon, elevation, timeZone}
+ */
+const PlaceSearch = ({ onPlaceSelect }) => {
+    const [query, setQuery] = useState('');
+    const [open, setOpen] = useState(false);
+    const [highlightIndex, setHighlightIndex] = useState(-1);
+
+    const matches = searchPlaces(query);
+
+    const pickPlace = (place) => {
+        if (onPlaceSelect) onPlaceSelect(place);
+        setQuery('');
+        setOpen(false);
+        setHighlightIndex(-1);
+    };
+
+    // Arrow keys move through the matches, Enter picks one (the first if none is highlighted)
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setHighlightIndex(index => Math.min(index + 1, matches.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlightIndex(index => Math.max(index - 1, -1));
+        } else if (e.key === 'Enter') {
+            const place = matches[highlightIndex >= 0 ? highlightIndex : 0];
+            if (place) pickPlace(place);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+            setHighlightIndex(-1);
+        }
+    };
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <input
+                type="text"
+                placeholder="City or observatory (e.g., 'Boston', 'Paranal')"
+                value={query}
+                onChange={(e) => {
+                    setQuery(e.target.value);
+                    setOpen(true);
+                    setHighlightIndex(-1);
+                }}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+                role="combobox"
+                aria-expanded={open && matches.length > 0}
+                aria-autocomplete="list"
+                style={{
+                    width: '100%',
+                    padding: '0.5rem',
+                    borderRadius: '4px',
+                    border: '2px solid #555',
+                    backgroundColor: '#2a2a2a',
+                    color: '#ffffff',
+                    fontSize: '1rem'
+                }}
+            />
+
+            {open && matches.length > 0 && (
+                <ul
+                    role="listbox"
+                    style={{
+                        position: 'absolute',
+                        top: '100%',
+                        left: 0,
+                        right: 0,
+                        zIndex: 10,
+                        margin: '0.25rem 0 0 0',
+                        padding: 0,
+                        listStyle: 'none',
+                        backgroundColor: '#2a2a2a',
+                        border: '2px solid #555',
+                        borderRadius: '4px',
+                        maxHeight: '20rem',
+                        overflowY: 'auto'
+                    }}
+                >
+                    {matches.map((place, index) => (
+                        <li
+                            key={`${place.name}-${place.region}`}
+                            role="option"
+                            aria-selected={index === highlightIndex}
+                            // mousedown fires before the input's blur would close the list
+                            onMouseDown={(e) => {
+                                e.preventDefault();
+                                pickPlace(place);
+                            }}
+                            onMouseEnter={() => setHighlightIndex(index)}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                gap: '1rem',
+                                padding: '0.4rem 0.5rem',
+                                cursor: 'pointer',
+                                color: '#ffffff',
+                                backgroundColor: index === highlightIndex ? 'rgba(74, 158, 255, 0.3)' : 'transparent'
+                            }}
+                        >
+                            <span>{place.kind === 'observatory' ? '🔭 ' : ''}{place.name}</span>
+                            <span style={{ color: '#aaaaaa', fontSize: '0.85rem', whiteSpace: 'nowrap' }}>
+                                {place.region} · {place.elevation} m
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default PlaceSearch;
@@ -1,24 +1,40 @@
 import React, { useRef, useEffect } from 'react';
 import * as d3 from 'd3';
 import { range } from 'lodash';
+import { getHorizonAltitude, splitPathByHorizon } from '../horizon.js';
+import { interpolatePathPoint } from '../astronomical.js';
+import { getZonedParts } from '../timezone.js';
 
 /*
 PolarPlot React Component
 Renders an astronomical polar coordinate plot using D3.js
 Shows the paths of celestial objects across the sky over time
+targetPaths: [{id, name, color, points, transit, selected}], one colored path per target
+cursorTime: optional Date; each target's and the Moon's position at that time is highlighted
+liveMarkers: [{id, color, az, el, trail, selected}], current positions in live mode; they glide
+to their new place on each tick without the rest of the plot being redrawn
+timeZone: site time zone for the time labels ('' = the browser's)
 */
 
 const PolarPlot = ({ 
-  positionData, 
+  targetPaths = [], 
   polarisPosition,
+  moonPositionData,
+  overlays = {},
+  equatorialGrid,
+  horizonProfile = [],
+  cursorTime = null,
+  liveMarkers = [],
+  timeZone = '',
   width = 1024, 
   height = 640, 
   className = '' 
 }) => {
   const svgRef = useRef(null);
+  const plotRef = useRef(null); // {g, r} from the last full draw, for the cursor layer
 
   useEffect(() => {
-    if (!positionData || positionData.length === 0) return;
+    if (targetPaths.length === 0) return;
 
     // Clear any existing content
     d3.select(svgRef.current).selectAll("*").remove();
@@ -63,12 +79,15 @@ const PolarPlot = ({
                  .enter()
                  .append("g");
 
-    // Draw the elevation circles
+    // Draw the elevation circles (the horizon circle stays even when the alt/az grid is hidden)
+    const showAltAzGrid = overlays.altAzGrid !== false;
     gr.append("circle")
-        .attr("r", r);  // Radius based on elevation angle
+        .attr("r", r)  // Radius based on elevation angle
+        .style("display", d => showAltAzGrid || d === 0 ? null : "none");
 
     // Add elevation angle labels (0°, 15°, 30°, 45°, 60°, 75°)
     gr.append("text")
+        .style("display", showAltAzGrid ? null : "none")
         .attr("y", d => -r(d) - 4)  // Position just outside each circle
         .attr("transform", "rotate(15)")               // Slight rotation for better readability
         .style("text-anchor", "middle")
@@ -86,7 +105,8 @@ const PolarPlot = ({
 
     // Draw radial lines from center to edge for each compass direction
     ga.append("line")
-        .attr("x2", radius);  // Line from center (0,0) to radius distance
+        .attr("x2", radius)  // Line from center (0,0) to radius distance
+        .style("display", showAltAzGrid ? null : "none");
 
     // Convert mathematical coordinates to map coordinates (correct astronomical orientation)  
     // Math coordinates: 0°=East, 90°=North, 180°=West, 270°=South
@@ -126,102 +146,213 @@ const PolarPlot = ({
             return degreesToDirection(compassDeg);  // e.g., "N", "NE", etc. (no degrees)
         });
 
-    // Draw the path of the celestial object across the sky over time
-    if (positionData && positionData.length > 0) {
+    // Shade the sky hidden by the local horizon: a ring between the flat horizon and the profile
+    if (horizonProfile.length > 0) {
+        const toXY = (az, el) => [
+            r(el) * Math.cos(az * RADPERDEG - Math.PI/2),
+            r(el) * Math.sin(az * RADPERDEG - Math.PI/2)
+        ];
+        const azimuths = range(0, 361, 1);
+        const outer = azimuths.map(az => toXY(az, 0));
+        const inner = azimuths.map(az => toXY(az, Math.max(0, getHorizonAltitude(horizonProfile, az)))).reverse();
+
         g.append("path")
-            .datum(objToDataVec(positionData))  // Convert to D3 format
-            .attr("class", "line")              // Apply red styling
-            .attr("d", line)                    // Draw the path
-            .style("fill", "none")
-            .style("stroke", "#ff4444")
-            .style("stroke-width", "2px");
+            .attr("class", "horizon-mask")
+            .attr("d", d3.line()([...outer, ...inner]) + "Z");
+    }
 
-        // Find the start and end time data points
-        const startPoint = positionData[0]; // First point in the time range
-        const endPoint = positionData[positionData.length - 1]; // Last point in the time range
-        
-        if (startPoint && endPoint) {
-            // Convert coordinates for label positioning using proper polar coordinate conversion
-            const startCoords = {
-                x: r(startPoint.el) * Math.cos(startPoint.az * RADPERDEG - Math.PI/2),
-                y: r(startPoint.el) * Math.sin(startPoint.az * RADPERDEG - Math.PI/2)
-            };
-            const endCoords = {
-                x: r(endPoint.el) * Math.cos(endPoint.az * RADPERDEG - Math.PI/2),
-                y: r(endPoint.el) * Math.sin(endPoint.az * RADPERDEG - Math.PI/2)
-            };
-            
-            // Format time labels
-            const formatTime = (hour) => {
-              if (hour === 0) return "12 AM";
-              if (hour < 12) return hour + " AM";
-              if (hour === 12) return "12 PM";
-              return (hour - 12) + " PM";
-            };
-            
-            // Enhanced start time label - positioned at actual start coordinates
+    // Equatorial overlay: lines of constant declination and hour angle, equator and meridian
+    // Straight segments between closely spaced points, so no spline smoothing here
+    if (equatorialGrid) {
+        const gridLine = d3.line()
+            .x(d => r(d[1]) * Math.cos(d[0] - Math.PI/2))
+            .y(d => r(d[1]) * Math.sin(d[0] - Math.PI/2));
+
+        const drawSegments = (segments, className) => {
+            segments.forEach(segment => {
+                g.append("path")
+                    .datum(objToDataVec(segment))
+                    .attr("class", className)
+                    .attr("d", gridLine);
+            });
+        };
+
+        if (overlays.equatorialGrid) {
+            equatorialGrid.decLines.forEach(({ segments }) => drawSegments(segments, "equatorial-grid"));
+            equatorialGrid.haLines.forEach(({ segments }) => drawSegments(segments, "equatorial-grid"));
+
+            // Label each declination circle where it crosses the upper meridian
+            equatorialGrid.decLines.forEach(({ dec, upperTransit }) => {
+                if (upperTransit.el < 0) return;
+                g.append("text")
+                    .attr("class", "equatorial-grid-label")
+                    .attr("x", r(upperTransit.el) * Math.cos(upperTransit.az * RADPERDEG - Math.PI/2) + 4)
+                    .attr("y", r(upperTransit.el) * Math.sin(upperTransit.az * RADPERDEG - Math.PI/2) - 3)
+                    .text(`${dec > 0 ? '+' : ''}${dec}°`);
+            });
+
+            // Label each hour-angle line where it meets the celestial equator
+            equatorialGrid.haLines.forEach(({ ha, equatorCrossing }) => {
+                if (equatorCrossing.el < 0) return;
+                g.append("text")
+                    .attr("class", "equatorial-grid-label")
+                    .attr("x", r(equatorCrossing.el) * Math.cos(equatorCrossing.az * RADPERDEG - Math.PI/2) + 4)
+                    .attr("y", r(equatorCrossing.el) * Math.sin(equatorCrossing.az * RADPERDEG - Math.PI/2) + 12)
+                    .text(`${ha}h`);
+            });
+        }
+        if (overlays.equator) {
+            drawSegments(equatorialGrid.equator, "celestial-equator");
+        }
+        if (overlays.meridian) {
+            drawSegments(equatorialGrid.meridian, "meridian");
+        }
+    }
+
+    // Draw the Moon's track first so the target paths stay on top where they overlap
+    if (moonPositionData && moonPositionData.length > 0) {
+        g.append("path")
+            .datum(objToDataVec(moonPositionData))
+            .attr("class", "moon-line")
+            .attr("d", line);
+
+        // Mark where the Moon is at the start of the time range
+        const moonStart = moonPositionData[0];
+        if (moonStart.el >= 0) {
             g.append("circle")
-                .attr("cx", startCoords.x)
-                .attr("cy", startCoords.y)
-                .attr("r", 6)
-                .style("fill", "#ff4444")
-                .style("stroke", "#ffffff")
+                .attr("cx", r(moonStart.el) * Math.cos(moonStart.az * RADPERDEG - Math.PI/2))
+                .attr("cy", r(moonStart.el) * Math.sin(moonStart.az * RADPERDEG - Math.PI/2))
+                .attr("r", 7)
+                .style("fill", "#dde6ff")
+                .style("stroke", "#aaccff")
                 .style("stroke-width", "2px");
-                
-            // Background for text (makes it more readable)
-            const startLabel = formatTime(startPoint.time);
-            const startLabelWidth = startLabel.length * 8 + 10;
-            g.append("rect")
-                .attr("x", startCoords.x - startLabelWidth/2)
-                .attr("y", startCoords.y - 25)
-                .attr("width", startLabelWidth)
-                .attr("height", 16)
-                .attr("rx", 3)
-                .style("fill", "rgba(0, 0, 0, 0.8)")
-                .style("stroke", "#ff4444")
-                .style("stroke-width", "1px");
-                
-            g.append("text")
-                .attr("x", startCoords.x)
-                .attr("y", startCoords.y - 12)
-                .attr("text-anchor", "middle")
-                .style("fill", "#ffffff")
-                .style("font-size", "14px")
-                .style("font-weight", "bold")
-                .text(startLabel);
-                
-            // Enhanced end time label - positioned at actual end coordinates
-            g.append("circle")
-                .attr("cx", endCoords.x)
-                .attr("cy", endCoords.y)
-                .attr("r", 6)
-                .style("fill", "#ff4444")
+        }
+    }
+
+    // Format time labels on the site's clock: "6 PM" on the hour, "6:15 PM" otherwise
+    const formatTime = (time) => {
+      const { hour, minute: minutes } = getZonedParts(time, timeZone);
+      const suffix = hour < 12 ? "AM" : "PM";
+      const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+      if (minutes === 0) return `${displayHour} ${suffix}`;
+      return `${displayHour}:${minutes.toString().padStart(2, '0')} ${suffix}`;
+    };
+
+    // Draw a labelled time marker (dot with a boxed label above it) in a target's color
+    const drawTimeMarker = (point, color, showLabel) => {
+        const coords = {
+            x: r(point.el) * Math.cos(point.az * RADPERDEG - Math.PI/2),
+            y: r(point.el) * Math.sin(point.az * RADPERDEG - Math.PI/2)
+        };
+
+        g.append("circle")
+            .attr("cx", coords.x)
+            .attr("cy", coords.y)
+            .attr("r", 6)
+            .style("fill", color)
+            .style("stroke", "#ffffff")
+            .style("stroke-width", "2px");
+
+        if (!showLabel) return;
+
+        // Background for text (makes it more readable)
+        const label = formatTime(point.time);
+        const labelWidth = label.length * 8 + 10;
+        g.append("rect")
+            .attr("x", coords.x - labelWidth/2)
+            .attr("y", coords.y - 25)
+            .attr("width", labelWidth)
+            .attr("height", 16)
+            .attr("rx", 3)
+            .style("fill", "rgba(0, 0, 0, 0.8)")
+            .style("stroke", color)
+            .style("stroke-width", "1px");
+
+        g.append("text")
+            .attr("x", coords.x)
+            .attr("y", coords.y - 12)
+            .attr("text-anchor", "middle")
+            .style("fill", "#ffffff")
+            .style("font-size", "14px")
+            .style("font-weight", "bold")
+            .text(label);
+    };
+
+    // Draw the selected target last so its path and labels sit on top of the others
+    const drawOrder = [...targetPaths].sort((a, b) => (a.selected ? 1 : 0) - (b.selected ? 1 : 0));
+
+    drawOrder.forEach(({ points, color, transit, selected }) => {
+        if (!points || points.length === 0) return;
+
+        // With a local horizon, draw visible stretches solid and obstructed ones dashed
+        const pathSegments = horizonProfile.length > 0
+            ? splitPathByHorizon(points, horizonProfile)
+            : [{ visible: true, points }];
+
+        pathSegments.forEach(segment => {
+            g.append("path")
+                .datum(objToDataVec(segment.points))     // Convert to D3 format
+                .attr("class", segment.visible ? "line" : "line obstructed")
+                .attr("d", line)                         // Draw the path
+                .style("fill", "none")
+                .style("stroke", color)
+                .style("stroke-width", selected ? "3px" : "2px");
+        });
+
+        // Mark the start and end of the time range; only the selected target gets time labels
+        drawTimeMarker(points[0], color, selected);
+        drawTimeMarker(points[points.length - 1], color, selected);
+
+        // Mark the target's upper transit (highest point, on the meridian) with a diamond
+        if (transit && transit.el >= 0) {
+            const transitCoords = {
+                x: r(transit.el) * Math.cos(transit.az * RADPERDEG - Math.PI/2),
+                y: r(transit.el) * Math.sin(transit.az * RADPERDEG - Math.PI/2)
+            };
+
+            g.append("path")
+                .attr("d", d3.symbol().type(d3.symbolDiamond).size(120)())
+                .attr("transform", `translate(${transitCoords.x}, ${transitCoords.y})`)
+                .style("fill", color)
                 .style("stroke", "#ffffff")
                 .style("stroke-width", "2px");
-                
-            // Background for text (makes it more readable)
-            const endLabel = formatTime(endPoint.time);
-            const endLabelWidth = endLabel.length * 8 + 10;
-            g.append("rect")
-                .attr("x", endCoords.x - endLabelWidth/2)
-                .attr("y", endCoords.y - 25)
-                .attr("width", endLabelWidth)
-                .attr("height", 16)
-                .attr("rx", 3)
-                .style("fill", "rgba(0, 0, 0, 0.8)")
-                .style("stroke", "#ff4444")
-                .style("stroke-width", "1px");
-                
-            g.append("text")
-                .attr("x", endCoords.x)
-                .attr("y", endCoords.y - 12)
-                .attr("text-anchor", "middle")
-                .style("fill", "#ffffff")
-                .style("font-size", "14px")
-                .style("font-weight", "bold")
-                .text(endLabel);
+
+            if (selected) {
+                g.append("text")
+                    .attr("x", transitCoords.x + 10)
+                    .attr("y", transitCoords.y + 4)
+                    .style("fill", "#ffffff")
+                    .style("font-size", "12px")
+                    .text("Transit");
+            }
         }
-    }
+    });
+
+    // Legend: a color swatch and name for each target, in the top-left corner
+    const legend = svg.append("g")
+        .attr("class", "legend")
+        .attr("transform", "translate(16, 20)");
+
+    targetPaths.forEach(({ name, color, selected }, i) => {
+        const entry = legend.append("g")
+            .attr("transform", `translate(0, ${i * 20})`);
+
+        entry.append("line")
+            .attr("x1", 0)
+            .attr("x2", 24)
+            .attr("y1", 0)
+            .attr("y2", 0)
+            .style("stroke", color)
+            .style("stroke-width", "3px");
+
+        entry.append("text")
+            .attr("x", 32)
+            .attr("dy", ".35em")
+            .style("fill", "#ffffff")
+            .style("font-size", "13px")
+            .style("font-weight", selected ? "bold" : null)
+            .text(name);
+    });
 
     // Draw Polaris (the North Star) as a 5-pointed star
     if (polarisPosition && polarisPosition.el >= 0) { // Only draw if above horizon
@@ -260,7 +391,86 @@ const PolarPlot = ({
             .style("stroke-width", "1px");
     }
 
-  }, [positionData, polarisPosition, width, height]);
+    // Live markers and the cursor are drawn by their own effects into these layers,
+    // so clock ticks and hovering don't redraw the plot
+    g.append("g").attr("class", "live-layer");
+    g.append("g").attr("class", "cursor-layer");
+    plotRef.current = { g, r };
+
+  }, [
+    targetPaths, polarisPosition, moonPositionData,
+    overlays, equatorialGrid, horizonProfile, timeZone, width, height
+  ]);
+
+  // Live mode: move each marker to its current position and redraw the trail behind it
+  useEffect(() => {
+    if (!plotRef.current) return;
+    const { g, r } = plotRef.current;
+    const layer = g.select(".live-layer");
+
+    const RADPERDEG = Math.PI / 180;
+    const x = ({ az, el }) => r(el) * Math.cos(az * RADPERDEG - Math.PI/2);
+    const y = ({ az, el }) => r(el) * Math.sin(az * RADPERDEG - Math.PI/2);
+    const trailLine = d3.line().x(x).y(y);
+
+    // Only what's above the horizon; the selected target last so it sits on top
+    const visible = liveMarkers
+        .filter(marker => marker.el >= 0)
+        .sort((a, b) => (a.selected ? 1 : 0) - (b.selected ? 1 : 0));
+
+    layer.selectAll("path.live-trail")
+        .data(visible, d => d.id)
+        .join("path")
+        .attr("class", "live-trail")
+        .style("stroke", d => d.color)
+        .attr("d", d => trailLine(d.trail.filter(point => point.el >= 0)));
+
+    // New markers appear in place; existing ones glide over the tick interval
+    layer.selectAll("circle.live-marker")
+        .data(visible, d => d.id)
+        .join(enter => enter.append("circle")
+            .attr("class", "live-marker")
+            .attr("cx", x)
+            .attr("cy", y))
+        .classed("selected", d => d.selected)
+        .attr("r", d => d.selected ? 8 : 6)
+        .style("fill", d => d.color)
+        .raise()
+        .transition()
+        .duration(1000)
+        .attr("cx", x)
+        .attr("cy", y);
+  }, [
+    liveMarkers, targetPaths, polarisPosition, moonPositionData,
+    overlays, equatorialGrid, horizonProfile, timeZone, width, height
+  ]);
+
+  // Highlight where each target and the Moon are at the cursor time (the scrubber's, or the hovered chart time)
+  useEffect(() => {
+    if (!plotRef.current) return;
+    const { g, r } = plotRef.current;
+    const layer = g.select(".cursor-layer");
+    layer.selectAll("*").remove();
+    if (!cursorTime) return;
+
+    const RADPERDEG = Math.PI / 180;
+    const moonTrack = moonPositionData ? [{ points: moonPositionData, color: '#aaccff' }] : [];
+    [...moonTrack, ...targetPaths].forEach(({ points, color }) => {
+        const point = interpolatePathPoint(points, cursorTime);
+        if (!point || point.el < 0) return;
+
+        layer.append("circle")
+            .attr("cx", r(point.el) * Math.cos(point.az * RADPERDEG - Math.PI/2))
+            .attr("cy", r(point.el) * Math.sin(point.az * RADPERDEG - Math.PI/2))
+            .attr("r", 7)
+            .style("fill", color)
+            .style("stroke", "#ffdd44")
+            .style("stroke-width", "2px");
+    });
+  }, [
+    cursorTime, targetPaths, polarisPosition, moonPositionData,
+    overlays, equatorialGrid, horizonProfile, timeZone, width, height
+  ]);
 
   return (
     <div className={`polar-plot ${className}`}>
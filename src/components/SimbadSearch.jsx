@@ -1,73 +1,161 @@
-import React, { useState } from 'react';
-
-// Mock SIMBAD database for astronomical objects
-const simbadData = {
-    'fireworks nebula': { name: 'Fireworks Nebula', raHms: { h: 20, m: 35, s: 25.0 }, decDms: { d: 60, m: 14, s: 47.0 } },
-    'ngc 6946': { name: 'NGC 6946 (Fireworks Nebula)', raHms: { h: 20, m: 35, s: 25.0 }, decDms: { d: 60, m: 14, s: 47.0 } },
-    'vega': { name: 'Vega', raHms: { h: 18, m: 36, s: 56.3 }, decDms: { d: 38, m: 47, s: 1.0 } },
-    'betelgeuse': { name: 'Betelgeuse', raHms: { h: 5, m: 55, s: 10.3 }, decDms: { d: 7, m: 24, s: 25.0 } },
-    'rigel': { name: 'Rigel', raHms: { h: 5, m: 14, s: 32.3 }, decDms: { d: -8, m: 12, s: 6.0 } },
-    'sirius': { name: 'Sirius', raHms: { h: 6, m: 45, s: 8.9 }, decDms: { d: -16, m: 42, s: 58.0 } },
-    'andromeda galaxy': { name: 'Andromeda Galaxy (M31)', raHms: { h: 0, m: 42, s: 44.3 }, decDms: { d: 41, m: 16, s: 9.0 } },
-    'm31': { name: 'Andromeda Galaxy (M31)', raHms: { h: 0, m: 42, s: 44.3 }, decDms: { d: 41, m: 16, s: 9.0 } },
-    'orion nebula': { name: 'Orion Nebula (M42)', raHms: { h: 5, m: 35, s: 17.3 }, decDms: { d: -5, m: 23, s: 14.0 } },
-    'm42': { name: 'Orion Nebula (M42)', raHms: { h: 5, m: 35, s: 17.3 }, decDms: { d: -5, m: 23, s: 14.0 } }
-};
+import React, { useState, useEffect, useMemo } from 'react';
+import { RESOLVER_BACKENDS, RESOLVER_STATUS, catalogEntryToResult } from '../resolvers.js';
+import { loadCatalog, searchCatalog } from '../catalog.js';
+import { resolveCelestial, RaDec2AzEl } from '../astronomical.js';
+import { formatAngle } from '../coordinates.js';
+
+// Number of candidates shown while typing
+const MAX_CANDIDATES = 8;
 
 /**
  * SIMBAD search component for astronomical objects
  * @param {function} onResultSelect - Callback when user selects search results
- * @param {boolean} loading - External loading state
- * @param {string} error - External error state  
+ * @param {object} resolver - Name resolver from createResolver(), see resolvers.js
+ * @param {object} resolverSettings - {backend, baseUrl, timeoutMs} used to build the resolver
+ * @param {function} onResolverSettingsChange - Callback with the updated settings
+ * @param {object} observer - {lat, lon} in degrees, for the current altitude of each candidate
+ * @param {Array} recentSearches - Previously used results, most recent first
+ * @param {function} onRecentSearch - Callback with a result when its coordinates are used
  */
-const SimbadSearch = ({ onResultSelect }) => {
+const SimbadSearch = ({
+    onResultSelect,
+    resolver,
+    resolverSettings,
+    onResolverSettingsChange,
+    observer,
+    recentSearches = [],
+    onRecentSearch
+}) => {
     const [searchQuery, setSearchQuery] = useState('');
     const [searchLoading, setSearchLoading] = useState(false);
-    const [searchError, setSearchError] = useState('');
+    const [searchError, setSearchError] = useState(null); // {status, message}
     const [searchResults, setSearchResults] = useState(null);
+    const [catalog, setCatalog] = useState(null);
+    const [candidates, setCandidates] = useState([]);
+    const [dropdownOpen, setDropdownOpen] = useState(false);
+    const [highlightIndex, setHighlightIndex] = useState(-1);
+
+    // Load the offline catalog the first time the search box is used
+    const handleFocus = () => {
+        setDropdownOpen(true);
+        if (!catalog) loadCatalog().then(setCatalog);
+    };
+
+    // Rank catalog candidates as the user types (after a short pause)
+    useEffect(() => {
+        if (!catalog || !searchQuery.trim()) {
+            setCandidates([]);
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            setCandidates(searchCatalog(catalog.entries, searchQuery, MAX_CANDIDATES)
+                .map(({ entry }) => catalogEntryToResult(entry, catalog.constellations)));
+            setHighlightIndex(-1);
+        }, 150);
+        return () => clearTimeout(timer);
+    }, [catalog, searchQuery]);
+
+    // Typing shows catalog candidates; an empty box shows the recent searches
+    const dropdownItems = searchQuery.trim() ? candidates : recentSearches;
+
+    // Current altitude of each dropdown item for the observer, so objects that are up stand out
+    const itemAltitudes = useMemo(() => {
+        if (!observer) return [];
+        const now = new Date();
+        return dropdownItems.map(({ ra, dec, epoch }) => {
+            const apparent = resolveCelestial({ ra, dec, epoch: epoch || 'J2000' }, now);
+            return RaDec2AzEl(apparent.ra, apparent.dec, observer.lat, observer.lon, now).el;
+        });
+    }, [dropdownItems, observer]);
+
+    const pickCandidate = (result) => {
+        setSearchResults(result);
+        setSearchError(null);
+        setDropdownOpen(false);
+        setHighlightIndex(-1);
+    };
 
     const searchSimbad = async () => {
         if (!searchQuery.trim()) {
-            setSearchError('Please enter an object name to search');
+            setSearchError({ status: RESOLVER_STATUS.NOT_FOUND, message: 'Please enter an object name to search' });
             return;
         }
         
         setSearchLoading(true);
-        setSearchError('');
+        setSearchError(null);
         setSearchResults(null);
+        setDropdownOpen(false);
         
         try {
-            // Simulate API delay
-            await new Promise(resolve => setTimeout(resolve, 500));
-            
-            const result = simbadData[searchQuery.toLowerCase()];
-            if (result) {
-                setSearchResults(result);
-                setSearchError('');
-            } else {
-                setSearchError(`Object "${searchQuery}" not found in database`);
-            }
+            setSearchResults(await resolver.resolve(searchQuery));
         } catch (error) {
-            setSearchError('Failed to search SIMBAD database');
+            setSearchError({
+                status: error.status || RESOLVER_STATUS.NETWORK,
+                message: error.message || 'Failed to search SIMBAD database'
+            });
         } finally {
             setSearchLoading(false);
         }
     };
 
-    const handleKeyPress = (e) => {
-        if (e.key === 'Enter') {
-            searchSimbad();
+    const handleSettingChange = (field, value) => {
+        if (onResolverSettingsChange) {
+            onResolverSettingsChange({ ...resolverSettings, [field]: value });
+        }
+    };
+
+    // Switching backend also switches to that backend's default URL
+    const handleBackendChange = (e) => {
+        const backend = RESOLVER_BACKENDS.find(b => b.key === e.target.value);
+        if (onResolverSettingsChange) {
+            onResolverSettingsChange({ ...resolverSettings, backend: backend.key, baseUrl: backend.baseUrl });
+        }
+    };
+
+    // "Not found" is a plain answer; a network error means the lookup itself failed
+    const isNetworkError = searchError && searchError.status === RESOLVER_STATUS.NETWORK;
+    const errorColor = isNetworkError ? '#ff6666' : '#ffaa44';
+
+    // Arrow keys move through the dropdown, Enter picks the highlighted item
+    // (or asks the resolver when nothing is highlighted) and Escape closes it
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setDropdownOpen(true);
+            setHighlightIndex(index => Math.min(index + 1, dropdownItems.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setHighlightIndex(index => Math.max(index - 1, -1));
+        } else if (e.key === 'Enter') {
+            if (dropdownOpen && highlightIndex >= 0 && dropdownItems[highlightIndex]) {
+                pickCandidate(dropdownItems[highlightIndex]);
+            } else {
+                searchSimbad();
+            }
+        } else if (e.key === 'Escape') {
+            setDropdownOpen(false);
+            setHighlightIndex(-1);
         }
     };
 
+    const handleQueryChange = (e) => {
+        setSearchQuery(e.target.value);
+        setDropdownOpen(true);
+    };
+
     const useSearchResults = () => {
         if (searchResults && onResultSelect) {
             onResultSelect(searchResults);
+            if (onRecentSearch) onRecentSearch(searchResults);
             setSearchResults(null); // Clear search results after use
             setSearchQuery(''); // Clear search query
         }
     };
 
+    const formatAltitude = (altitude) =>
+        altitude === undefined ? '' : `${altitude >= 0 ? '' : '−'}${Math.abs(altitude).toFixed(0)}°`;
+
     const buttonStyle = {
         padding: '0.5rem 1rem',
         borderRadius: '4px',
@@ -77,16 +165,30 @@ const SimbadSearch = ({ onResultSelect }) => {
         fontWeight: 'bold'
     };
 
+    const settingInputStyle = {
+        padding: '0.3rem',
+        borderRadius: '4px',
+        border: '1px solid #555',
+        backgroundColor: '#2a2a2a',
+        color: '#ffffff',
+        fontSize: '0.85rem'
+    };
+
     return (
         <div style={{ marginBottom: '1.5rem' }}>
-            <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <div style={{ display: 'flex', gap: '0.5rem', position: 'relative' }}>
                 <input
                     type="text"
-                    placeholder="Enter object name (e.g., 'Vega', 'M31', 'Orion Nebula')"
+                    placeholder="Enter object name (e.g., 'Vega', 'M 31', 'Caldwell 14', 'Orion Nebula')"
                     value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                    onKeyPress={handleKeyPress}
+                    onChange={handleQueryChange}
+                    onKeyDown={handleKeyDown}
+                    onFocus={handleFocus}
+                    onBlur={() => setDropdownOpen(false)}
                     disabled={searchLoading}
+                    role="combobox"
+                    aria-expanded={dropdownOpen && dropdownItems.length > 0}
+                    aria-autocomplete="list"
                     style={{
                         flex: 1,
                         padding: '0.5rem',
@@ -108,19 +210,82 @@ const SimbadSearch = ({ onResultSelect }) => {
                 >
                     {searchLoading ? 'Searching...' : 'Search SIMBAD'}
                 </button>
+
+                {/* Candidate Dropdown */}
+                {dropdownOpen && dropdownItems.length > 0 && (
+                    <ul
+                        role="listbox"
+                        style={{
+                            position: 'absolute',
+                            top: '100%',
+                            left: 0,
+                            right: 0,
+                            zIndex: 10,
+                            margin: '0.25rem 0 0 0',
+                            padding: 0,
+                            listStyle: 'none',
+                            backgroundColor: '#2a2a2a',
+                            border: '2px solid #555',
+                            borderRadius: '4px',
+                            maxHeight: '20rem',
+                            overflowY: 'auto',
+                            textAlign: 'left'
+                        }}
+                    >
+                        {!searchQuery.trim() && (
+                            <li style={{ padding: '0.25rem 0.5rem', color: '#888', fontSize: '0.8rem' }}>
+                                Recent searches
+                            </li>
+                        )}
+                        {dropdownItems.map((item, index) => (
+                            <li
+                                key={`${item.name}-${index}`}
+                                role="option"
+                                aria-selected={index === highlightIndex}
+                                // mousedown fires before the input's blur would close the list
+                                onMouseDown={(e) => {
+                                    e.preventDefault();
+                                    pickCandidate(item);
+                                }}
+                                onMouseEnter={() => setHighlightIndex(index)}
+                                style={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    gap: '1rem',
+                                    padding: '0.4rem 0.5rem',
+                                    cursor: 'pointer',
+                                    color: '#ffffff',
+                                    backgroundColor: index === highlightIndex ? 'rgba(74, 158, 255, 0.3)' : 'transparent'
+                                }}
+                            >
+                                <span>{item.name}</span>
+                                <span style={{ color: '#aaaaaa', fontSize: '0.85rem', whiteSpace: 'nowrap' }}>
+                                    {item.catalog && item.catalog.type}
+                                    {item.catalog && item.catalog.mag !== null && ` · mag ${item.catalog.mag}`}
+                                    {itemAltitudes[index] !== undefined && (
+                                        <span style={{ color: itemAltitudes[index] >= 0 ? '#88dd88' : '#888888' }}>
+                                            {` · alt ${formatAltitude(itemAltitudes[index])}`}
+                                        </span>
+                                    )}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </div>
 
             {searchError && (
                 <div style={{
                     marginTop: '0.5rem',
                     padding: '0.5rem',
-                    backgroundColor: 'rgba(255, 102, 102, 0.1)',
-                    border: '1px solid #ff6666',
+                    backgroundColor: isNetworkError ? 'rgba(255, 102, 102, 0.1)' : 'rgba(255, 170, 68, 0.1)',
+                    border: `1px solid ${errorColor}`,
                     borderRadius: '4px',
-                    color: '#ff6666',
+                    color: errorColor,
                     fontSize: '0.9rem'
                 }}>
-                    {searchError}
+                    {isNetworkError ? 'Network error: ' : ''}{searchError.message}
+                    {isNetworkError && ' Check the resolver settings below, or try again.'}
                 </div>
             )}
 
@@ -151,8 +316,23 @@ const SimbadSearch = ({ onResultSelect }) => {
                                 fontSize: '0.9rem',
                                 lineHeight: '1.4'
                             }}>
-                                RA: {Math.floor(searchResults.raHms.h)}h {Math.floor(searchResults.raHms.m)}m {searchResults.raHms.s.toFixed(1)}s<br />
-                                Dec: {Math.floor(searchResults.decDms.d)}° {Math.floor(searchResults.decDms.m)}' {searchResults.decDms.s.toFixed(1)}"
+                                RA: {formatAngle(searchResults.ra, 'ra')}<br />
+                                Dec: {formatAngle(searchResults.dec, 'dec')}
+                                {searchResults.catalog && (
+                                    <>
+                                        <br />
+                                        {searchResults.catalog.type} in {searchResults.catalog.constellation}
+                                        {searchResults.catalog.mag !== null && `, mag ${searchResults.catalog.mag}`}
+                                        {searchResults.catalog.size && `, ${searchResults.catalog.size.replace('x', '×')}′`}
+                                    </>
+                                )}
+                                {searchResults.motion && searchResults.motion.pmRa !== undefined && (
+                                    <>
+                                        <br />
+                                        PM: {searchResults.motion.pmRa} / {searchResults.motion.pmDec} mas/yr
+                                        {searchResults.motion.parallax !== undefined && `, parallax ${searchResults.motion.parallax} mas`}
+                                    </>
+                                )}
                             </div>
                         </div>
                         <button
@@ -168,6 +348,58 @@ const SimbadSearch = ({ onResultSelect }) => {
                     </div>
                 </div>
             )}
+
+            {/* Resolver Settings */}
+            {resolverSettings && (
+                <details style={{ marginTop: '0.5rem', color: '#cccccc', fontSize: '0.85rem' }}>
+                    <summary style={{ cursor: 'pointer' }}>Name resolver settings</summary>
+                    <div style={{
+                        display: 'grid',
+                        gridTemplateColumns: 'auto 1fr',
+                        gap: '0.5rem',
+                        alignItems: 'center',
+                        marginTop: '0.5rem'
+                    }}>
+                        <label>Backend</label>
+                        <select
+                            value={resolverSettings.backend}
+                            onChange={handleBackendChange}
+                            style={settingInputStyle}
+                        >
+                            {RESOLVER_BACKENDS.map(backend => (
+                                <option key={backend.key} value={backend.key}>{backend.name}</option>
+                            ))}
+                        </select>
+
+                        <label>Base URL</label>
+                        <input
+                            type="url"
+                            value={resolverSettings.baseUrl}
+                            onChange={(e) => handleSettingChange('baseUrl', e.target.value)}
+                            disabled={resolverSettings.backend === 'local'}
+                            style={settingInputStyle}
+                        />
+
+                        <label>Timeout (s)</label>
+                        <input
+                            type="number"
+                            min="1"
+                            max="60"
+                            value={resolverSettings.timeoutMs / 1000}
+                            onChange={(e) => {
+                                const seconds = parseFloat(e.target.value);
+                                if (seconds > 0) handleSettingChange('timeoutMs', seconds * 1000);
+                            }}
+                            disabled={resolverSettings.backend === 'local'}
+                            style={{ ...settingInputStyle, width: '5rem' }}
+                        />
+                    </div>
+                    <div style={{ marginTop: '0.5rem', fontStyle: 'italic' }}>
+                        The offline catalog (Messier, Caldwell, bright stars, and NGC/IC objects to magnitude 20: about 10,500 of
+                        the 13,200, so some faint ones are missing) is always searched first; resolved names are cached for this session.
+                    </div>
+                </details>
+            )}
         </div>
     );
 };
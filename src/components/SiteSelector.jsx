@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+
+/**
+ * Site Selector Component
+ * Switch between saved observing sites, and add, rename or delete them
+ * @param {object} props
+ * @param {Array} props.sites - Saved sites (see sites.js)
+ * @param {string} props.activeSiteId - Id of the site every calculation uses
+ * @param {function} props.onSelect - Callback with the id of the chosen site
+ * @param {function} props.onAdd - Callback with the name of a new site, copied from the active one
+ * @param {function} props.onRename - Callback with (id, name)
+ * @param {function} props.onRemove - Callback with the id of the site to delete
+ */
+const SiteSelector = ({
+    sites,
+    activeSiteId,
+    onSelect,
+    onAdd,
+    onRename,
+    onRemove
+}) => {
+    // 'add' or 'rename' while a name is being typed, null otherwise
+    const [editing, setEditing] = useState(null);
+    const [nameText, setNameText] = useState('');
+
+    const activeSite = sites.find(site => site.id === activeSiteId) || sites[0];
+
+    const startEditing = (mode) => {
+        setEditing(mode);
+        setNameText(mode === 'rename' ? activeSite.name : '');
+    };
+
+    const saveName = () => {
+        const name = nameText.trim();
+        if (!name) return;
+        if (editing === 'add') onAdd(name);
+        else onRename(activeSite.id, name);
+        setEditing(null);
+    };
+
+    const inputStyle = {
+        padding: '0.5rem',
+        borderRadius: '4px',
+        border: '2px solid #555',
+        backgroundColor: '#2a2a2a',
+        color: '#ffffff',
+        fontSize: '1rem'
+    };
+
+    const buttonStyle = {
+        padding: '0.25rem 0.5rem',
+        borderRadius: '4px',
+        border: 'none',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        fontWeight: 'bold',
+        color: '#ffffff',
+        backgroundColor: '#556677'
+    };
+
+    return (
+        <div style={{ marginBottom: '1rem' }}>
+            <label style={{ color: '#cccccc', fontSize: '0.9rem', marginBottom: '0.25rem', display: 'block' }}>
+                Observing Site
+            </label>
+
+            {editing ? (
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <input
+                        type="text"
+                        autoFocus
+                        value={nameText}
+                        onChange={(e) => setNameText(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') saveName();
+                            if (e.key === 'Escape') setEditing(null);
+                        }}
+                        placeholder="Site name (e.g., 'Club dark-sky field')"
+                        style={{ ...inputStyle, flex: 1 }}
+                    />
+                    <button
+                        onClick={saveName}
+                        disabled={!nameText.trim()}
+                        style={{ ...buttonStyle, backgroundColor: nameText.trim() ? '#4A9EFF' : '#666' }}
+                    >
+                        Save
+                    </button>
+                    <button onClick={() => setEditing(null)} style={buttonStyle}>
+                        Cancel
+                    </button>
+                </div>
+            ) : (
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <select
+                        value={activeSite.id}
+                        onChange={(e) => onSelect(e.target.value)}
+                        style={{ ...inputStyle, flex: 1, cursor: 'pointer' }}
+                    >
+                        {sites.map(site => (
+                            <option key={site.id} value={site.id}>{site.name}</option>
+                        ))}
+                    </select>
+                    <button
+                        onClick={() => startEditing('add')}
+                        title="Save the current location as a new site"
+                        style={{ ...buttonStyle, backgroundColor: '#4A9EFF' }}
+                    >
+                        + Add
+                    </button>
+                    <button onClick={() => startEditing('rename')} title="Rename this site" style={buttonStyle}>
+                        Rename
+                    </button>
+                    <button
+                        onClick={() => onRemove(activeSite.id)}
+                        disabled={sites.length === 1}
+                        title="Delete this site"
+                        style={{ ...buttonStyle, backgroundColor: sites.length === 1 ? '#666' : '#884444' }}
+                    >
+                        ✕
+                    </button>
+                </div>
+            )}
+
+            <div style={{
+                marginTop: '0.25rem',
+                color: '#cccccc',
+                fontSize: '0.8rem',
+                fontStyle: 'italic'
+            }}>
+                {editing === 'add'
+                    ? 'The new site starts as a copy of the current location, time zone and horizon.'
+                    : 'Changes below are saved to the selected site.'}
+            </div>
+        </div>
+    );
+};
+
+export default SiteSelector;
@@ -0,0 +1,136 @@
+import React from 'react';
+
+/**
+ * Target List Component
+ * Add, remove, reorder, rename and color the targets drawn on the plot
+ * @param {object} props
+ * @param {Array} props.targets - Target objects (see targets.js)
+ * @param {string} props.selectedTargetId - Id of the target being edited below
+ * @param {function} props.onSelect - Callback with the id of the clicked target
+ * @param {function} props.onAdd - Callback to add a new target
+ * @param {function} props.onRemove - Callback with the id of the target to remove
+ * @param {function} props.onMove - Callback with (index, direction) to reorder
+ * @param {function} props.onUpdate - Callback with (id, changedFields)
+ */
+const TargetList = ({
+    targets,
+    selectedTargetId,
+    onSelect,
+    onAdd,
+    onRemove,
+    onMove,
+    onUpdate
+}) => {
+
+    const buttonStyle = {
+        padding: '0.25rem 0.5rem',
+        borderRadius: '4px',
+        border: 'none',
+        cursor: 'pointer',
+        fontSize: '0.85rem',
+        fontWeight: 'bold',
+        color: '#ffffff',
+        backgroundColor: '#556677'
+    };
+
+    return (
+        <div style={{
+            background: 'rgba(68, 85, 119, 0.4)',
+            padding: '1.5rem',
+            borderRadius: '8px',
+            marginBottom: '2rem'
+        }}>
+            <div style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: '1rem'
+            }}>
+                <h3 style={{ color: '#ffdd44', fontSize: '1.3rem' }}>
+                    Targets
+                </h3>
+                <button onClick={onAdd} style={{ ...buttonStyle, backgroundColor: '#4A9EFF', padding: '0.5rem 1rem' }}>
+                    + Add Target
+                </button>
+            </div>
+
+            {targets.map((target, index) => {
+                const isSelected = target.id === selectedTargetId;
+                return (
+                    <div
+                        key={target.id}
+                        onClick={() => onSelect(target.id)}
+                        style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '0.5rem',
+                            padding: '0.4rem 0.5rem',
+                            marginBottom: '0.25rem',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            border: isSelected ? '2px solid #ffdd44' : '2px solid transparent',
+                            backgroundColor: isSelected ? 'rgba(255, 221, 68, 0.1)' : 'transparent'
+                        }}
+                    >
+                        <input
+                            type="color"
+                            value={target.color}
+                            onChange={(e) => onUpdate(target.id, { color: e.target.value })}
+                            title="Path color"
+                            style={{ width: '32px', height: '28px', border: 'none', background: 'none', cursor: 'pointer' }}
+                        />
+                        <input
+                            type="text"
+                            value={target.name}
+                            onChange={(e) => onUpdate(target.id, { name: e.target.value })}
+                            style={{
+                                flex: 1,
+                                padding: '0.4rem',
+                                borderRadius: '4px',
+                                border: '2px solid #555',
+                                backgroundColor: '#2a2a2a',
+                                color: '#ffffff',
+                                fontSize: '0.95rem'
+                            }}
+                        />
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onMove(index, -1); }}
+                            disabled={index === 0}
+                            title="Move up"
+                            style={buttonStyle}
+                        >
+                            ▲
+                        </button>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onMove(index, 1); }}
+                            disabled={index === targets.length - 1}
+                            title="Move down"
+                            style={buttonStyle}
+                        >
+                            ▼
+                        </button>
+                        <button
+                            onClick={(e) => { e.stopPropagation(); onRemove(target.id); }}
+                            disabled={targets.length === 1}
+                            title="Remove target"
+                            style={{ ...buttonStyle, backgroundColor: targets.length === 1 ? '#666' : '#884444' }}
+                        >
+                            ✕
+                        </button>
+                    </div>
+                );
+            })}
+
+            <div style={{
+                marginTop: '0.5rem',
+                color: '#cccccc',
+                fontSize: '0.8rem',
+                fontStyle: 'italic'
+            }}>
+                Click a target to edit its coordinates below. Every target is drawn on the plot.
+            </div>
+        </div>
+    );
+};
+
+export default TargetList;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatZonedTime, formatUtcTime } from '../timezone.js';
+
+// Playback speeds: simulated seconds per real second
+const SPEEDS = [
+    { value: 60, label: '1 min/s' },
+    { value: 300, label: '5 min/s' },
+    { value: 900, label: '15 min/s' },
+    { value: 3600, label: '1 h/s' }
+];
+
+// Real milliseconds between time updates during playback: each one re-renders the plots, so not every frame
+const PLAYBACK_UPDATE_MS = 100;
+
+// Hour angle as "+01h 23m" (west of the meridian) or "−00h 40m" (east, still rising)
+const formatHourAngle = (degrees) => {
+    const minutes = Math.round(Math.abs(degrees) / 15 * 60);
+    const h = Math.floor(minutes / 60).toString().padStart(2, '0');
+    const m = (minutes % 60).toString().padStart(2, '0');
+    return `${degrees < 0 ? '−' : '+'}${h}h ${m}m`;
+};
+
+/**
+ * Time Scrubber Component
+ * Slider, playback and step controls over the plotted time range, with readouts for the chosen instant
+ * @param {object} props
+ * @param {object} props.timeRange - {start, end} Dates covered by the plotted paths
+ * @param {Date} props.time - The scrubbed instant, or null before the slider is first moved
+ * @param {function} props.onTimeChange - Callback with the new instant
+ * @param {number} props.stepMinutes - How far the step buttons move
+ * @param {Array} props.readouts - [{id, name, color, az, el, hourAngle, airmass}] at the scrubbed instant
+ * @param {string} props.timeZone - Site time zone the time is shown in
+ */
+const TimeScrubber = ({ timeRange, time, onTimeChange, stepMinutes = 10, readouts = [], timeZone = '' }) => {
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(SPEEDS[1].value);
+
+    const start = timeRange.start.getTime();
+    const end = timeRange.end.getTime();
+    const current = time ? Math.min(Math.max(time.getTime(), start), end) : start;
+
+    // The animation loop reads the latest time without restarting on every frame
+    const currentRef = useRef(current);
+    currentRef.current = current;
+
+    const moveTo = (t) => onTimeChange(new Date(Math.min(Math.max(t, start), end)));
+
+    // Playback: advance by the real time elapsed between frames, times the speed, and stop at the end.
+    // The playhead moves every frame but is only passed on every PLAYBACK_UPDATE_MS, and at the end
+    useEffect(() => {
+        if (!playing) return;
+        let frame;
+        let last = null;
+        let lastUpdate = null;
+        let playhead = currentRef.current;
+        let seen = playhead; // The time last read from props
+        let sent = playhead; // The time last passed to onTimeChange
+        const tick = (timestamp) => {
+            // The slider or step buttons moved the time while playing: carry on from there
+            if (currentRef.current !== seen && currentRef.current !== sent) playhead = currentRef.current;
+            seen = currentRef.current;
+
+            if (last !== null) playhead = Math.min(playhead + (timestamp - last) * speed, end);
+            last = timestamp;
+            if (playhead >= end || lastUpdate === null || timestamp - lastUpdate >= PLAYBACK_UPDATE_MS) {
+                lastUpdate = timestamp;
+                sent = playhead;
+                onTimeChange(new Date(playhead));
+            }
+            if (playhead >= end) {
+                setPlaying(false);
+                return;
+            }
+            frame = requestAnimationFrame(tick);
+        };
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [playing, speed, end, onTimeChange]);
+
+    const handlePlayPause = () => {
+        // Playing from the end starts over
+        if (!playing && current >= end) moveTo(start);
+        setPlaying(!playing);
+    };
+
+    const stepMs = stepMinutes * 60000;
+
+    const buttonStyle = {
+        padding: '0.35rem 0.7rem',
+        borderRadius: '4px',
+        border: '2px solid #555',
+        backgroundColor: '#2a2a2a',
+        color: '#ffffff',
+        fontSize: '0.9rem',
+        cursor: 'pointer'
+    };
+
+    const cellStyle = { padding: '0.2rem 0.6rem', textAlign: 'right', whiteSpace: 'nowrap' };
+
+    return (
+        <div style={{
+            width: '100%',
+            maxWidth: '1024px',
+            padding: '1rem',
+            background: 'rgba(68, 85, 119, 0.4)',
+            borderRadius: '8px',
+            color: '#cccccc',
+            fontSize: '0.9rem'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <button onClick={() => moveTo(start)} title="Start of the range" style={buttonStyle}>⏮</button>
+                <button onClick={() => moveTo(current - stepMs)} title={`Back ${stepMinutes} min`} style={buttonStyle}>◀</button>
+                <button onClick={handlePlayPause} style={{ ...buttonStyle, minWidth: '4.5rem' }}>
+                    {playing ? '❚❚ Pause' : '▶ Play'}
+                </button>
+                <button onClick={() => moveTo(current + stepMs)} title={`Forward ${stepMinutes} min`} style={buttonStyle}>▶</button>
+                <button onClick={() => moveTo(end)} title="End of the range" style={buttonStyle}>⏭</button>
+                <select
+                    value={speed}
+                    onChange={(e) => setSpeed(parseInt(e.target.value))}
+                    style={buttonStyle}
+                >
+                    {SPEEDS.map(({ value, label }) => (
+                        <option key={value} value={value}>{label}</option>
+                    ))}
+                </select>
+                <span style={{ marginLeft: 'auto', color: '#ffdd44', fontWeight: 'bold' }}>
+                    {formatZonedTime(new Date(current), timeZone)}
+                </span>
+                <span>({formatUtcTime(new Date(current))})</span>
+            </div>
+
+            <input
+                type="range"
+                min={start}
+                max={end}
+                step={60000}
+                value={current}
+                onChange={(e) => moveTo(parseInt(e.target.value))}
+                style={{ width: '100%', margin: '0.75rem 0' }}
+            />
+
+            <table style={{ borderCollapse: 'collapse', margin: '0 auto' }}>
+                <thead>
+                    <tr style={{ color: '#ffdd44' }}>
+                        <th style={{ ...cellStyle, textAlign: 'left' }}>Target</th>
+                        <th style={cellStyle}>Azimuth</th>
+                        <th style={cellStyle}>Altitude</th>
+                        <th style={cellStyle}>Hour angle</th>
+                        <th style={cellStyle}>Airmass</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {readouts.map(({ id, name, color, az, el, hourAngle, airmass }) => (
+                        <tr key={id}>
+                            <td style={{ ...cellStyle, textAlign: 'left', color }}>{name}</td>
+                            <td style={cellStyle}>{az.toFixed(1)}°</td>
+                            <td style={cellStyle}>{el.toFixed(1)}°</td>
+                            <td style={cellStyle}>{formatHourAngle(hourAngle)}</td>
+                            <td style={cellStyle}>{airmass === null ? 'below horizon' : airmass.toFixed(2)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+};
+
+export default TimeScrubber;
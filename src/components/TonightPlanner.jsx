@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { loadCatalog, formatEntryName, TYPE_LABELS, TYPE_GROUPS } from '../catalog.js';
+import { catalogEntryToResult } from '../resolvers.js';
+import { planSession } from '../planner.js';
+import { formatZonedTime } from '../timezone.js';
+
+// Rows shown at once; the rest are counted but not rendered
+const MAX_ROWS = 100;
+
+/**
+ * Tonight Planner Component
+ * Ranks offline catalog objects for the observing window and loads the one clicked
+ * @param {object} props
+ * @param {object} props.observer - {lat, lon} in degrees and elevation in meters
+ * @param {object} props.sessionWindow - {start, end} Dates to scan, e.g. the astronomical dark window
+ * @param {string} props.windowLabel - Describes the window ("astronomical darkness", "selected hours")
+ * @param {string} props.timeZone - Site time zone the times are shown in
+ * @param {number} props.minAltitude - Altitude in degrees an object must clear to count as up
+ * @param {function} props.onMinAltitudeChange - Callback with a new minimum altitude
+ * @param {function} props.onSelect - Callback with a resolver-style result for the clicked object
+ */
+const TonightPlanner = ({
+    observer,
+    sessionWindow,
+    windowLabel,
+    timeZone = '',
+    minAltitude = 30,
+    onMinAltitudeChange,
+    onSelect
+}) => {
+    const [catalog, setCatalog] = useState(null);
+    const [maxMagnitude, setMaxMagnitude] = useState(10);
+    const [typeGroup, setTypeGroup] = useState('all');
+    const [constellation, setConstellation] = useState('all');
+    const [sort, setSort] = useState({ key: 'hoursUp', descending: true });
+    const [active, setActive] = useState(false);
+
+    // The catalog is only fetched once the planner is opened
+    useEffect(() => {
+        if (active && !catalog) loadCatalog().then(setCatalog);
+    }, [active, catalog]);
+
+    // Filter before scanning: the scan is the expensive part
+    const candidates = useMemo(() => {
+        if (!catalog) return [];
+        const group = TYPE_GROUPS.find(g => g.key === typeGroup);
+        return catalog.entries.filter(entry =>
+            entry.mag !== null && entry.mag <= maxMagnitude &&
+            (!group || group.types.includes(entry.type)) &&
+            (constellation === 'all' || entry.constellation === constellation)
+        );
+    }, [catalog, maxMagnitude, typeGroup, constellation]);
+
+    const plan = useMemo(() => {
+        if (!active || !sessionWindow || candidates.length === 0) return [];
+        return planSession(candidates, {
+            lat: observer.lat,
+            lon: observer.lon,
+            elevation: observer.elevation,
+            start: sessionWindow.start,
+            end: sessionWindow.end,
+            minAltitude
+        });
+    }, [active, candidates, observer, sessionWindow, minAltitude]);
+
+    // Sort accessors for each column
+    const sortValues = {
+        name: ({ entry }) => formatEntryName(entry).toLowerCase(),
+        type: ({ entry }) => TYPE_LABELS[entry.type] || entry.type,
+        mag: ({ entry }) => entry.mag,
+        constellation: ({ entry }) => entry.constellation,
+        hoursUp: row => row.hoursUp,
+        peakAltitude: row => row.peakAltitude,
+        moonSeparation: row => row.moonSeparation
+    };
+
+    const sortedPlan = useMemo(() => {
+        const value = sortValues[sort.key];
+        const direction = sort.descending ? -1 : 1;
+        return [...plan].sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            if (va < vb) return -direction;
+            if (va > vb) return direction;
+            // Ties: longest up, then brightest
+            return b.hoursUp - a.hoursUp || a.entry.mag - b.entry.mag;
+        });
+    }, [plan, sort]);
+
+    // Clicking the sorted column flips its direction; another column starts with its natural order
+    const handleSort = (key) => {
+        setSort(previous => previous.key === key
+            ? { key, descending: !previous.descending }
+            : { key, descending: ['hoursUp', 'peakAltitude', 'moonSeparation'].includes(key) });
+    };
+
+    const handleNumberChange = (setter) => (e) => {
+        const value = parseFloat(e.target.value);
+        if (!isNaN(value) && setter) setter(value);
+    };
+
+    const formatTime = (time) => formatZonedTime(time, timeZone);
+
+    const columns = [
+        { key: 'name', label: 'Object' },
+        { key: 'type', label: 'Type' },
+        { key: 'mag', label: 'Mag' },
+        { key: 'constellation', label: 'Const.' },
+        { key: 'hoursUp', label: `Hours above ${minAltitude}°` },
+        { key: 'peakAltitude', label: 'Peak alt.' },
+        { key: 'moonSeparation', label: 'Moon sep.' }
+    ];
+
+    const inputStyle = {
+        padding: '0.25rem',
+        borderRadius: '4px',
+        border: '2px solid #555',
+        backgroundColor: '#2a2a2a',
+        color: '#ffffff',
+        fontSize: '0.9rem'
+    };
+
+    const cellStyle = { padding: '0.3rem 0.6rem', textAlign: 'left', whiteSpace: 'nowrap' };
+
+    return (
+        <div style={{
+            background: 'rgba(68, 85, 119, 0.4)',
+            padding: '1.5rem',
+            borderRadius: '8px',
+            marginTop: '2rem'
+        }}>
+            <h3 style={{
+                color: '#ffdd44',
+                marginBottom: '0.5rem',
+                fontSize: '1.3rem'
+            }}>
+                What's Up Tonight
+            </h3>
+            <div style={{ color: '#cccccc', fontSize: '0.9rem', marginBottom: '1rem' }}>
+                {sessionWindow
+                    ? `Ranks the offline catalog over ${formatTime(sessionWindow.start)} – ${formatTime(sessionWindow.end)} (${windowLabel}). Click a row to load it.`
+                    : 'No observing window for the selected date.'}
+            </div>
+
+            {!active && (
+                <button
+                    onClick={() => setActive(true)}
+                    disabled={!sessionWindow}
+                    style={{
+                        padding: '0.5rem 1rem',
+                        borderRadius: '4px',
+                        border: 'none',
+                        backgroundColor: '#4A9EFF',
+                        color: '#ffffff',
+                        fontSize: '0.9rem',
+                        fontWeight: 'bold',
+                        cursor: 'pointer'
+                    }}
+                >
+                    Plan Tonight
+                </button>
+            )}
+
+            {active && (
+                <>
+                    {/* Filters */}
+                    <div style={{
+                        display: 'flex',
+                        flexWrap: 'wrap',
+                        gap: '1rem',
+                        alignItems: 'center',
+                        color: '#cccccc',
+                        fontSize: '0.9rem',
+                        marginBottom: '1rem'
+                    }}>
+                        <label>
+                            Min altitude{' '}
+                            <input
+                                type="number"
+                                min="0"
+                                max="89"
+                                value={minAltitude}
+                                onChange={handleNumberChange(onMinAltitudeChange)}
+                                style={{ ...inputStyle, width: '4rem' }}
+                            />°
+                        </label>
+                        <label>
+                            Brighter than mag{' '}
+                            <input
+                                type="number"
+                                min="-2"
+                                max="20"
+                                step="0.5"
+                                value={maxMagnitude}
+                                onChange={handleNumberChange(setMaxMagnitude)}
+                                style={{ ...inputStyle, width: '4rem' }}
+                            />
+                        </label>
+                        <label>
+                            Type{' '}
+                            <select value={typeGroup} onChange={(e) => setTypeGroup(e.target.value)} style={inputStyle}>
+                                <option value="all">All types</option>
+                                {TYPE_GROUPS.map(group => (
+                                    <option key={group.key} value={group.key}>{group.name}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Constellation{' '}
+                            <select value={constellation} onChange={(e) => setConstellation(e.target.value)} style={inputStyle}>
+                                <option value="all">All</option>
+                                {catalog && Object.entries(catalog.constellations)
+                                    .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+                                    .map(([abbreviation, { name }]) => (
+                                        <option key={abbreviation} value={abbreviation}>{name}</option>
+                                    ))}
+                            </select>
+                        </label>
+                    </div>
+
+                    {!catalog ? (
+                        <div style={{ color: '#cccccc' }}>Loading catalog...</div>
+                    ) : (
+                        <>
+                            <div style={{ color: '#aaaaaa', fontSize: '0.85rem', marginBottom: '0.5rem' }}>
+                                {sortedPlan.length} of {candidates.length} objects reach {minAltitude}°
+                                {sortedPlan.length > MAX_ROWS && `, showing the first ${MAX_ROWS}`}
+                            </div>
+                            <div style={{ maxHeight: '24rem', overflowY: 'auto' }}>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', color: '#cccccc', fontSize: '0.9rem' }}>
+                                    <thead>
+                                        <tr>
+                                            {columns.map(({ key, label }) => (
+                                                <th
+                                                    key={key}
+                                                    onClick={() => handleSort(key)}
+                                                    style={{
+                                                        ...cellStyle,
+                                                        position: 'sticky',
+                                                        top: 0,
+                                                        background: '#2f3a52',
+                                                        color: sort.key === key ? '#ffdd44' : '#ffffff',
+                                                        cursor: 'pointer'
+                                                    }}
+                                                >
+                                                    {label}{sort.key === key ? (sort.descending ? ' ▼' : ' ▲') : ''}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {sortedPlan.slice(0, MAX_ROWS).map(({ entry, hoursUp, peakAltitude, peakTime, moonSeparation }) => (
+                                            <tr
+                                                key={`${entry.designation}-${entry.ra}`}
+                                                onClick={() => onSelect(catalogEntryToResult(entry, catalog.constellations))}
+                                                style={{ cursor: 'pointer', borderTop: '1px solid #445' }}
+                                            >
+                                                <td style={cellStyle}>{formatEntryName(entry)}</td>
+                                                <td style={cellStyle}>{TYPE_LABELS[entry.type] || entry.type}</td>
+                                                <td style={cellStyle}>{entry.mag}</td>
+                                                <td style={cellStyle}>{entry.constellation}</td>
+                                                <td style={cellStyle}>{hoursUp.toFixed(1)} h</td>
+                                                <td style={cellStyle}>{peakAltitude.toFixed(0)}° at {formatTime(peakTime)}</td>
+                                                <td style={cellStyle}>{moonSeparation.toFixed(0)}°</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TonightPlanner;
@@ -0,0 +1,239 @@
+/*
+COORDINATES.JS - Coordinate String Parsing (ES6 Module)
+Reads coordinates the way catalogs and web pages print them, so they can be pasted in whole:
+
+  "20h35m25s", "20:35:25", "20 35 25.4", "308.854"          right ascension
+  "+60°14'47\"", "+60:14:47", "60d14m47s", "-0 30 00"       declination
+  "42°30'N", "N 42 30", "-33.87", "71 15 W"                 latitude / longitude
+
+and pairs of them: "20h35m25s +60°14'47\"", "20:35:25 +60:14:47", "308.854 60.246",
+"42.5 N, 71.25 W". Unicode primes (′ ″) and minus signs (−) are accepted too.
+
+Angle kinds: 'ra', 'dec', 'lat', 'lon'. Sexagesimal right ascension is in hours; a single
+decimal number is in degrees (as in most catalogs) unless it carries an "h". Only right
+ascension can be in hours: an "h" on any other kind is an error rather than silently degrees.
+Everything is returned in decimal degrees; bad input throws a CoordinateParseError whose
+message can be shown to the user as is.
+*/
+
+import { hmsToDeg, dmsToDeg } from './astronomical.js';
+
+export class CoordinateParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CoordinateParseError';
+    }
+}
+
+// Largest allowed magnitude per kind, in degrees, and the hemisphere letters each accepts
+const LIMITS = { ra: 360, dec: 90, lat: 90, lon: 180 };
+const HEMISPHERES = { lat: { N: 1, S: -1 }, lon: { E: 1, W: -1 } };
+
+// The direction field of CoordinateInput for each signed kind: positive first
+const DIRECTIONS = { dec: { '+': 1, '-': -1 }, ...HEMISPHERES };
+const NAMES = { ra: 'Right ascension', dec: 'Declination', lat: 'Latitude', lon: 'Longitude' };
+
+// Typographic variants to plain ASCII: minus signs, primes, the ordinal sign some sites use for degrees
+const normalize = (text) => text
+    .replace(/[−–—]/g, '-')
+    .replace(/[′’‘]/g, "'")
+    .replace(/[″”“]|''/g, '"')
+    .replace(/º/g, '°')
+    .trim();
+
+const NUMBER = /^(\d+(\.\d*)?|\.\d+)$/;
+
+// Units written as letters, as in "60d14m47s" or "20h35m25s"; there a final "s" is seconds, not South
+const LETTER_UNITS = /\d\s*[dhm]/i;
+
+/*
+Parse a single angle
+
+Parameters:
+  text: the angle as typed or pasted
+  kind: 'ra', 'dec', 'lat' or 'lon'
+
+Returns:
+  Decimal degrees (RA 0-360, the others signed)
+*/
+export const parseAngle = (text, kind) => {
+    let rest = normalize(text || '');
+    const name = NAMES[kind];
+    if (!rest) throw new CoordinateParseError(`${name} is empty`);
+
+    // Hemisphere letter before or after the numbers: "N 42 30", "71 15 W", "42.5N"
+    let hemisphereSign = null;
+    const letters = HEMISPHERES[kind] || {};
+    const leading = /^([A-Za-z])\s*(.*)$/.exec(rest);
+    const trailing = /^(.*?)(\s*)([A-Za-z])$/.exec(rest);
+    const trailingIsUnit = trailing && !trailing[2] && /\d$/.test(trailing[1]) && LETTER_UNITS.test(trailing[1]);
+    let hemisphere = null;
+    if (leading) hemisphere = [leading[1], leading[2]];
+    else if (trailing && !trailingIsUnit) hemisphere = [trailing[3], trailing[1]];
+    if (hemisphere) {
+        const [letter, remainder] = hemisphere;
+        if (letters[letter.toUpperCase()] !== undefined) {
+            hemisphereSign = letters[letter.toUpperCase()];
+            rest = remainder.trim();
+        }
+    }
+
+    // Leading sign
+    let sign = 1;
+    const signMatch = /^([+-])\s*(.*)$/.exec(rest);
+    if (signMatch) {
+        sign = signMatch[1] === '-' ? -1 : 1;
+        rest = signMatch[2];
+    }
+    if (signMatch && hemisphereSign !== null) {
+        throw new CoordinateParseError(`${name}: use either a sign or ${Object.keys(letters).join('/')}, not both`);
+    }
+    if (kind === 'ra' && sign < 0) throw new CoordinateParseError('Right ascension cannot be negative');
+
+    // The first unit tells hours from degrees; the numbers are whatever sits between separators
+    const unit = (/[hd°]/i.exec(rest) || [''])[0].toLowerCase();
+    if (unit === 'h' && kind !== 'ra') {
+        throw new CoordinateParseError(`${name} is in degrees; hours ("h") are only for right ascension`);
+    }
+    const parts = rest.split(/[\s:hdms°'"]+/i).filter(Boolean);
+    if (parts.length === 0) throw new CoordinateParseError(`${name}: no numbers found in "${text}"`);
+    if (parts.length > 3) throw new CoordinateParseError(`${name}: too many numbers in "${text}"`);
+
+    const badPart = parts.find(part => !NUMBER.test(part));
+    if (badPart) throw new CoordinateParseError(`${name}: "${badPart}" is not a number`);
+    if (parts.slice(0, -1).some(part => part.includes('.'))) {
+        throw new CoordinateParseError(`${name}: only the last number may have decimals`);
+    }
+
+    const [whole, minutes = 0, seconds = 0] = parts.map(Number);
+    if (minutes >= 60 || seconds >= 60) {
+        throw new CoordinateParseError(`${name}: minutes and seconds must be below 60`);
+    }
+
+    let degrees;
+    const inHours = kind === 'ra' && (unit === 'h' || (parts.length > 1 && unit === ''));
+    if (inHours) {
+        if (whole >= 24) throw new CoordinateParseError('Right ascension must be below 24h');
+        degrees = hmsToDeg(whole, minutes, seconds);
+    } else {
+        degrees = dmsToDeg(whole, minutes, seconds);
+    }
+
+    const limit = LIMITS[kind];
+    if (kind === 'ra' ? degrees >= limit : degrees > limit) {
+        throw new CoordinateParseError(`${name} must be ${kind === 'ra' ? 'below' : 'at most'} ${limit}°`);
+    }
+    return degrees * sign * (hemisphereSign === null ? 1 : hemisphereSign);
+};
+
+// Split a pair of angles into its two halves, or null if there's no sensible split
+const splitPair = (text) => {
+    // "a, b" or "a; b"
+    const separated = text.split(/\s*[,;]\s*/);
+    if (separated.length === 2) return separated;
+
+    // A hemisphere letter ends the first angle: "42 30 N 71 15 W", "42d41m1s N 71d28m16s W"
+    const hemisphere = LETTER_UNITS.test(text)
+        ? /^(.*?\d\s*[dms]?\s+[NS])\s*(.+)$/i.exec(text)
+        : /^(.*?\d[^A-Za-z]*[NS])\s*(.+)$/i.exec(text);
+    if (hemisphere) return [hemisphere[1], hemisphere[2]];
+
+    // A sign starts the second one: "20 35 25 +60 14 47", "308.854-0.5"
+    const signed = /^([+-]?[^+-]+?)\s*([+-][^+-]+)$/.exec(text);
+    if (signed) return [signed[1], signed[2]];
+
+    // Otherwise split the whitespace-separated groups down the middle: "308.854 60.246", "20:35:25 60:14:47"
+    const groups = text.split(/\s+/);
+    if (groups.length % 2 === 0) {
+        return [groups.slice(0, groups.length / 2).join(' '), groups.slice(groups.length / 2).join(' ')];
+    }
+    return null;
+};
+
+/*
+Parse a pair of angles, such as RA and Dec or latitude and longitude
+
+Parameters:
+  text: both angles as typed or pasted
+  kinds: [first kind, second kind], e.g. ['ra', 'dec'] or ['lat', 'lon']
+
+Returns:
+  [first, second] in decimal degrees
+*/
+export const parseCoordinatePair = (text, kinds = ['ra', 'dec']) => {
+    const halves = splitPair(normalize(text || ''));
+    if (!halves) {
+        throw new CoordinateParseError(`Can't tell where ${NAMES[kinds[0]].toLowerCase()} ends and ${NAMES[kinds[1]].toLowerCase()} starts`);
+    }
+    return [parseAngle(halves[0], kinds[0]), parseAngle(halves[1], kinds[1])];
+};
+
+// True when the text looks like a pair rather than a single angle ("20 35 25 +60 14 47", "1.5, 2")
+export const isCoordinatePair = (text, kinds) => {
+    try {
+        parseCoordinatePair(text, kinds);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/*
+Split a non-negative value into whole units, minutes and seconds, rounding the seconds
+and carrying into the minutes and units when they round up to 60
+
+Returns:
+  {whole, minutes, seconds}
+*/
+export const splitSexagesimal = (value, decimals = 2) => {
+    const factor = Math.pow(10, decimals);
+    const totalSeconds = Math.round(value * 3600 * factor) / factor;
+    const whole = Math.floor(totalSeconds / 3600 + 1e-9);
+    const minutes = Math.floor((totalSeconds - whole * 3600) / 60 + 1e-9);
+    const seconds = Math.round((totalSeconds - whole * 3600 - minutes * 60) * factor) / factor;
+    return { whole, minutes, seconds };
+};
+
+/*
+Decimal degrees to the {primary, secondary, tertiary, direction?} fields of CoordinateInput
+
+The degrees are always unsigned and the sign goes in direction: '+'/'-' for Dec, N/S and E/W
+for latitude and longitude, so that -0° 30' keeps its sign. RA has no direction.
+*/
+export const angleToFields = (degrees, kind) => {
+    if (kind === 'ra') {
+        const { whole, minutes, seconds } = splitSexagesimal((((degrees % 360) + 360) % 360) / 15);
+        return { primary: whole % 24, secondary: minutes, tertiary: seconds };
+    }
+    const { whole, minutes, seconds } = splitSexagesimal(Math.abs(degrees), 1);
+    const [positive, negative] = Object.keys(DIRECTIONS[kind]);
+    return { primary: whole, secondary: minutes, tertiary: seconds, direction: degrees < 0 ? negative : positive };
+};
+
+// The CoordinateInput fields back to decimal degrees (inverse of angleToFields).
+// Fields without a direction keep the old convention of a signed degrees field.
+export const fieldsToAngle = ({ primary, secondary, tertiary, direction }, kind) => {
+    if (kind === 'ra') return hmsToDeg(primary, secondary, tertiary);
+    const degrees = dmsToDeg(Math.abs(primary), secondary, tertiary);
+    const negative = direction ? DIRECTIONS[kind][direction] < 0 : primary < 0;
+    return negative ? -degrees : degrees;
+};
+
+const pad = (n, width = 2) => n.toString().padStart(width, '0');
+
+/*
+Format decimal degrees the way parseAngle() reads them back
+
+Examples:
+  ra "20h 35m 25.00s", dec "+60° 14' 47.0\"", lat "42° 30' 00.0\" N", lon "71° 15' 00.0\" W"
+*/
+export const formatAngle = (degrees, kind) => {
+    if (kind === 'ra') {
+        const { primary, secondary, tertiary } = angleToFields(degrees, 'ra');
+        return `${pad(primary)}h ${pad(secondary)}m ${tertiary.toFixed(2).padStart(5, '0')}s`;
+    }
+    const { primary, secondary, tertiary, direction } = angleToFields(degrees, kind);
+    const dms = `${pad(primary)}° ${pad(secondary)}' ${tertiary.toFixed(1).padStart(4, '0')}"`;
+    if (kind === 'dec') return `${direction}${dms}`;
+    return `${dms} ${direction}`;
+};
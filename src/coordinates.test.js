@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { hmsToDeg, dmsToDeg } from './astronomical.js';
+import { CoordinateParseError, parseAngle, parseCoordinatePair, angleToFields, fieldsToAngle, formatAngle } from './coordinates.js';
+
+// Half the last printed digit: 0.005s of RA and 0.05" of arc, in degrees
+const RA_TOLERANCE = 0.005 * 15 / 3600;
+const DMS_TOLERANCE = 0.05 / 3600;
+
+describe('hmsToDeg and dmsToDeg', () => {
+    it('converts hours and degrees with their minutes and seconds', () => {
+        expect(hmsToDeg(20, 35, 25)).toBeCloseTo(308.854167, 6);
+        expect(hmsToDeg(0, 0, 0)).toBe(0);
+        expect(dmsToDeg(60, 14, 47)).toBeCloseTo(60.246389, 6);
+        expect(dmsToDeg(0, 30, 0)).toBe(0.5);
+    });
+});
+
+describe('angleToFields and fieldsToAngle', () => {
+    it('keeps the sign of -0° 30\' 00"', () => {
+        expect(angleToFields(-0.5, 'dec')).toEqual({ primary: 0, secondary: 30, tertiary: 0, direction: '-' });
+        expect(fieldsToAngle({ primary: 0, secondary: 30, tertiary: 0, direction: '-' }, 'dec')).toBe(-0.5);
+        expect(formatAngle(-0.5, 'dec')).toBe('-00° 30\' 00.0"');
+        expect(angleToFields(-0.5, 'lat').direction).toBe('S');
+        expect(angleToFields(-0.5, 'lon').direction).toBe('W');
+    });
+
+    it('keeps the sign of -0° 00\' 00.4"', () => {
+        const degrees = -0.4 / 3600;
+        expect(angleToFields(degrees, 'dec')).toEqual({ primary: 0, secondary: 0, tertiary: 0.4, direction: '-' });
+        expect(fieldsToAngle({ primary: 0, secondary: 0, tertiary: 0.4, direction: '-' }, 'dec')).toBeCloseTo(degrees, 12);
+    });
+
+    it('carries seconds that round up to 60 at 89° 59\' 59.99"', () => {
+        expect(angleToFields(dmsToDeg(89, 59, 59.99), 'dec')).toEqual({ primary: 90, secondary: 0, tertiary: 0, direction: '+' });
+        expect(angleToFields(-dmsToDeg(89, 59, 59.99), 'lat')).toEqual({ primary: 90, secondary: 0, tertiary: 0, direction: 'S' });
+        expect(angleToFields(dmsToDeg(10, 59, 59.96), 'lon')).toEqual({ primary: 11, secondary: 0, tertiary: 0, direction: 'E' });
+    });
+
+    it('wraps right ascension at 23h 59m 59.999s to 0h', () => {
+        expect(angleToFields(hmsToDeg(23, 59, 59.999), 'ra')).toEqual({ primary: 0, secondary: 0, tertiary: 0 });
+        expect(formatAngle(hmsToDeg(23, 59, 59.999), 'ra')).toBe('00h 00m 00.00s');
+        expect(angleToFields(hmsToDeg(23, 59, 59.99), 'ra')).toEqual({ primary: 23, secondary: 59, tertiary: 59.99 });
+    });
+
+    it('uses the sign of the degrees when there is no direction', () => {
+        expect(fieldsToAngle({ primary: -10, secondary: 30, tertiary: 0 }, 'dec')).toBe(-10.5);
+        expect(fieldsToAngle({ primary: 10, secondary: 30, tertiary: 0 }, 'dec')).toBe(10.5);
+    });
+
+    it.each([0, 0.001, 15, 83.633083, 180, 308.854167, 359.99])('round trips RA %s°', (degrees) => {
+        expect(Math.abs(fieldsToAngle(angleToFields(degrees, 'ra'), 'ra') - degrees)).toBeLessThanOrEqual(RA_TOLERANCE);
+    });
+
+    it.each([
+        ['dec', 60.246389], ['dec', -0.5], ['dec', -0.0001], ['dec', 89.99999], ['dec', -90],
+        ['lat', 42.683611], ['lat', -33.87], ['lon', -71.471111], ['lon', 179.9], ['lon', -180]
+    ])('round trips %s %s°', (kind, degrees) => {
+        expect(Math.abs(fieldsToAngle(angleToFields(degrees, kind), kind) - degrees)).toBeLessThanOrEqual(DMS_TOLERANCE);
+    });
+});
+
+describe('parseAngle', () => {
+    it('reads hours only for right ascension', () => {
+        expect(parseAngle('5h', 'ra')).toBe(75);
+        expect(parseAngle('20h35m25s', 'ra')).toBeCloseTo(308.854167, 6);
+        ['dec', 'lat', 'lon'].forEach(kind => {
+            expect(() => parseAngle('5h', kind)).toThrow(CoordinateParseError);
+            expect(() => parseAngle('5h 30m', kind)).toThrow(/only for right ascension/);
+        });
+    });
+
+    it('still reads degrees, minutes and seconds with letter units', () => {
+        expect(parseAngle('60d14m47s', 'dec')).toBeCloseTo(60.246389, 6);
+        expect(parseAngle('42d 30m N', 'lat')).toBe(42.5);
+    });
+
+    it('reads a final "s" after a number as seconds, not South, when the units are letters', () => {
+        expect(parseAngle('42d41m1s', 'lat')).toBeCloseTo(42.683611, 6);
+        expect(parseAngle('42d41m1s N', 'lat')).toBeCloseTo(42.683611, 6);
+        expect(parseAngle('42d41m1s S', 'lat')).toBeCloseTo(-42.683611, 6);
+        expect(parseAngle('33d52m S', 'lat')).toBeCloseTo(-33.866667, 6);
+        expect(parseAngle('33.87S', 'lat')).toBe(-33.87);
+        expect(parseAngle('71d28m16s', 'lon')).toBeCloseTo(71.471111, 6);
+    });
+
+    it('splits latitude/longitude pairs written with letter units', () => {
+        const [lat, lon] = parseCoordinatePair('42d41m1s N 71d28m16s W', ['lat', 'lon']);
+        expect(lat).toBeCloseTo(42.683611, 6);
+        expect(lon).toBeCloseTo(-71.471111, 6);
+        expect(parseCoordinatePair('42d41m1s 71d28m16s', ['lat', 'lon'])[0]).toBeCloseTo(42.683611, 6);
+        expect(parseCoordinatePair('42 41 1 S 71 28 16 E', ['lat', 'lon'])[0]).toBeCloseTo(-42.683611, 6);
+    });
+});
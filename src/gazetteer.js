@@ -0,0 +1,178 @@
+/*
+GAZETTEER.JS - Offline Place Lookup (ES6 Module)
+Major cities and well-known observatories, so an observing site can be picked by name without
+a network connection. Small enough to ship in the bundle, unlike the object catalog.
+
+A place:
+
+  {name, region, kind, lat, lon, elevation, timeZone}
+
+kind is 'city' or 'observatory'; lat/lon are decimal degrees (positive = North/East),
+elevation is meters above sea level and timeZone the IANA zone of the site.
+Positions are good to a few hundred meters and elevations are approximate: plenty for
+planning, but worth refining for a particular backyard or dome.
+*/
+
+// name, region, lat, lon, elevation (m), time zone
+const OBSERVATORIES = [
+    ['Mauna Kea Observatories', 'Hawaii, USA', 19.8207, -155.4681, 4205, 'Pacific/Honolulu'],
+    ['Paranal Observatory (VLT)', 'Chile', -24.6275, -70.4044, 2635, 'America/Santiago'],
+    ['La Silla Observatory', 'Chile', -29.2563, -70.7380, 2400, 'America/Santiago'],
+    ['Las Campanas Observatory', 'Chile', -29.0146, -70.6926, 2380, 'America/Santiago'],
+    ['Cerro Tololo Inter-American Observatory', 'Chile', -30.1690, -70.8063, 2207, 'America/Santiago'],
+    ['Cerro Pachón (Rubin Observatory, Gemini South)', 'Chile', -30.2446, -70.7494, 2663, 'America/Santiago'],
+    ['ALMA, Chajnantor Plateau', 'Chile', -23.0193, -67.7532, 5058, 'America/Santiago'],
+    ['Roque de los Muchachos Observatory', 'La Palma, Spain', 28.7606, -17.8816, 2396, 'Atlantic/Canary'],
+    ['Teide Observatory', 'Tenerife, Spain', 28.3004, -16.5119, 2390, 'Atlantic/Canary'],
+    ['Calar Alto Observatory', 'Spain', 37.2236, -2.5463, 2168, 'Europe/Madrid'],
+    ['Pic du Midi Observatory', 'France', 42.9364, 0.1425, 2877, 'Europe/Paris'],
+    ['Observatoire de Haute-Provence', 'France', 43.9317, 5.7133, 650, 'Europe/Paris'],
+    ['Royal Observatory Greenwich', 'London, UK', 51.4769, -0.0005, 46, 'Europe/London'],
+    ['Jodrell Bank Observatory', 'UK', 53.2367, -2.3085, 77, 'Europe/London'],
+    ['Special Astrophysical Observatory', 'Russia', 43.6468, 41.4405, 2070, 'Europe/Moscow'],
+    ['Kitt Peak National Observatory', 'Arizona, USA', 31.9583, -111.5967, 2096, 'America/Phoenix'],
+    ['Mount Graham International Observatory (LBT)', 'Arizona, USA', 32.7013, -109.8891, 3221, 'America/Phoenix'],
+    ['Mount Lemmon Observatory', 'Arizona, USA', 32.4420, -110.7893, 2791, 'America/Phoenix'],
+    ['Lowell Observatory', 'Flagstaff, Arizona, USA', 35.2029, -111.6646, 2210, 'America/Phoenix'],
+    ['Palomar Observatory', 'California, USA', 33.3563, -116.8650, 1712, 'America/Los_Angeles'],
+    ['Mount Wilson Observatory', 'California, USA', 34.2258, -118.0572, 1742, 'America/Los_Angeles'],
+    ['Lick Observatory', 'California, USA', 37.3414, -121.6429, 1283, 'America/Los_Angeles'],
+    ['McDonald Observatory', 'Texas, USA', 30.6797, -104.0247, 2070, 'America/Chicago'],
+    ['Apache Point Observatory', 'New Mexico, USA', 32.7803, -105.8203, 2788, 'America/Denver'],
+    ['Very Large Array', 'New Mexico, USA', 34.0784, -107.6184, 2124, 'America/Denver'],
+    ['Yerkes Observatory', 'Wisconsin, USA', 42.5703, -88.5564, 334, 'America/Chicago'],
+    ['Green Bank Observatory', 'West Virginia, USA', 38.4331, -79.8398, 807, 'America/New_York'],
+    ['Arecibo Observatory', 'Puerto Rico', 18.3464, -66.7528, 498, 'America/Puerto_Rico'],
+    ['Siding Spring Observatory', 'Australia', -31.2733, 149.0617, 1165, 'Australia/Sydney'],
+    ['Parkes Observatory', 'Australia', -32.9983, 148.2636, 324, 'Australia/Sydney'],
+    ['Mount John Observatory', 'Tekapo, New Zealand', -43.9856, 170.4650, 1029, 'Pacific/Auckland'],
+    ['South African Astronomical Observatory', 'Sutherland, South Africa', -32.3783, 20.8107, 1798, 'Africa/Johannesburg'],
+    ['Indian Astronomical Observatory', 'Hanle, India', 32.7794, 78.9642, 4500, 'Asia/Kolkata'],
+    ['Xinglong Observatory', 'China', 40.3958, 117.5750, 900, 'Asia/Shanghai']
+];
+
+const CITIES = [
+    ['Dunstable', 'Massachusetts, USA', 42.6836, -71.4711, 74, 'America/New_York'],
+    ['Boston', 'Massachusetts, USA', 42.3601, -71.0589, 14, 'America/New_York'],
+    ['New York', 'New York, USA', 40.7128, -74.0060, 10, 'America/New_York'],
+    ['Washington', 'District of Columbia, USA', 38.9072, -77.0369, 22, 'America/New_York'],
+    ['Miami', 'Florida, USA', 25.7617, -80.1918, 2, 'America/New_York'],
+    ['Chicago', 'Illinois, USA', 41.8781, -87.6298, 181, 'America/Chicago'],
+    ['Houston', 'Texas, USA', 29.7604, -95.3698, 15, 'America/Chicago'],
+    ['Denver', 'Colorado, USA', 39.7392, -104.9903, 1609, 'America/Denver'],
+    ['Phoenix', 'Arizona, USA', 33.4484, -112.0740, 331, 'America/Phoenix'],
+    ['Tucson', 'Arizona, USA', 32.2226, -110.9747, 728, 'America/Phoenix'],
+    ['Los Angeles', 'California, USA', 34.0522, -118.2437, 71, 'America/Los_Angeles'],
+    ['San Francisco', 'California, USA', 37.7749, -122.4194, 16, 'America/Los_Angeles'],
+    ['Seattle', 'Washington, USA', 47.6062, -122.3321, 56, 'America/Los_Angeles'],
+    ['Anchorage', 'Alaska, USA', 61.2181, -149.9003, 31, 'America/Anchorage'],
+    ['Honolulu', 'Hawaii, USA', 21.3069, -157.8583, 6, 'Pacific/Honolulu'],
+    ['Toronto', 'Canada', 43.6532, -79.3832, 76, 'America/Toronto'],
+    ['Montreal', 'Canada', 45.5017, -73.5673, 36, 'America/Toronto'],
+    ['Vancouver', 'Canada', 49.2827, -123.1207, 70, 'America/Vancouver'],
+    ['Mexico City', 'Mexico', 19.4326, -99.1332, 2240, 'America/Mexico_City'],
+    ['Bogotá', 'Colombia', 4.7110, -74.0721, 2640, 'America/Bogota'],
+    ['Lima', 'Peru', -12.0464, -77.0428, 154, 'America/Lima'],
+    ['Santiago', 'Chile', -33.4489, -70.6693, 570, 'America/Santiago'],
+    ['La Serena', 'Chile', -29.9027, -71.2520, 28, 'America/Santiago'],
+    ['Buenos Aires', 'Argentina', -34.6037, -58.3816, 25, 'America/Argentina/Buenos_Aires'],
+    ['São Paulo', 'Brazil', -23.5505, -46.6333, 760, 'America/Sao_Paulo'],
+    ['Rio de Janeiro', 'Brazil', -22.9068, -43.1729, 5, 'America/Sao_Paulo'],
+    ['Reykjavík', 'Iceland', 64.1466, -21.9426, 15, 'Atlantic/Reykjavik'],
+    ['London', 'UK', 51.5074, -0.1278, 11, 'Europe/London'],
+    ['Edinburgh', 'UK', 55.9533, -3.1883, 47, 'Europe/London'],
+    ['Dublin', 'Ireland', 53.3498, -6.2603, 20, 'Europe/Dublin'],
+    ['Lisbon', 'Portugal', 38.7223, -9.1393, 45, 'Europe/Lisbon'],
+    ['Madrid', 'Spain', 40.4168, -3.7038, 667, 'Europe/Madrid'],
+    ['Paris', 'France', 48.8566, 2.3522, 35, 'Europe/Paris'],
+    ['Amsterdam', 'Netherlands', 52.3676, 4.9041, 0, 'Europe/Amsterdam'],
+    ['Zurich', 'Switzerland', 47.3769, 8.5417, 408, 'Europe/Zurich'],
+    ['Rome', 'Italy', 41.9028, 12.4964, 21, 'Europe/Rome'],
+    ['Berlin', 'Germany', 52.5200, 13.4050, 34, 'Europe/Berlin'],
+    ['Munich', 'Germany', 48.1351, 11.5820, 519, 'Europe/Berlin'],
+    ['Vienna', 'Austria', 48.2082, 16.3738, 190, 'Europe/Vienna'],
+    ['Warsaw', 'Poland', 52.2297, 21.0122, 100, 'Europe/Warsaw'],
+    ['Oslo', 'Norway', 59.9139, 10.7522, 23, 'Europe/Oslo'],
+    ['Stockholm', 'Sweden', 59.3293, 18.0686, 28, 'Europe/Stockholm'],
+    ['Helsinki', 'Finland', 60.1699, 24.9384, 17, 'Europe/Helsinki'],
+    ['Athens', 'Greece', 37.9838, 23.7275, 70, 'Europe/Athens'],
+    ['Istanbul', 'Turkey', 41.0082, 28.9784, 39, 'Europe/Istanbul'],
+    ['Moscow', 'Russia', 55.7558, 37.6173, 156, 'Europe/Moscow'],
+    ['Cairo', 'Egypt', 30.0444, 31.2357, 23, 'Africa/Cairo'],
+    ['Lagos', 'Nigeria', 6.5244, 3.3792, 41, 'Africa/Lagos'],
+    ['Nairobi', 'Kenya', -1.2921, 36.8219, 1795, 'Africa/Nairobi'],
+    ['Johannesburg', 'South Africa', -26.2041, 28.0473, 1753, 'Africa/Johannesburg'],
+    ['Cape Town', 'South Africa', -33.9249, 18.4241, 15, 'Africa/Johannesburg'],
+    ['Dubai', 'United Arab Emirates', 25.2048, 55.2708, 5, 'Asia/Dubai'],
+    ['Tehran', 'Iran', 35.6892, 51.3890, 1190, 'Asia/Tehran'],
+    ['Mumbai', 'India', 19.0760, 72.8777, 14, 'Asia/Kolkata'],
+    ['Delhi', 'India', 28.6139, 77.2090, 216, 'Asia/Kolkata'],
+    ['Bangalore', 'India', 12.9716, 77.5946, 920, 'Asia/Kolkata'],
+    ['Bangkok', 'Thailand', 13.7563, 100.5018, 2, 'Asia/Bangkok'],
+    ['Singapore', 'Singapore', 1.3521, 103.8198, 15, 'Asia/Singapore'],
+    ['Jakarta', 'Indonesia', -6.2088, 106.8456, 8, 'Asia/Jakarta'],
+    ['Manila', 'Philippines', 14.5995, 120.9842, 16, 'Asia/Manila'],
+    ['Hong Kong', 'China', 22.3193, 114.1694, 10, 'Asia/Hong_Kong'],
+    ['Shanghai', 'China', 31.2304, 121.4737, 4, 'Asia/Shanghai'],
+    ['Beijing', 'China', 39.9042, 116.4074, 44, 'Asia/Shanghai'],
+    ['Seoul', 'South Korea', 37.5665, 126.9780, 38, 'Asia/Seoul'],
+    ['Tokyo', 'Japan', 35.6762, 139.6503, 40, 'Asia/Tokyo'],
+    ['Perth', 'Australia', -31.9505, 115.8605, 20, 'Australia/Perth'],
+    ['Brisbane', 'Australia', -27.4698, 153.0251, 27, 'Australia/Brisbane'],
+    ['Sydney', 'Australia', -33.8688, 151.2093, 39, 'Australia/Sydney'],
+    ['Melbourne', 'Australia', -37.8136, 144.9631, 31, 'Australia/Melbourne'],
+    ['Auckland', 'New Zealand', -36.8485, 174.7633, 26, 'Pacific/Auckland'],
+    ['Wellington', 'New Zealand', -41.2865, 174.7762, 19, 'Pacific/Auckland']
+];
+
+const toPlace = (kind) => ([name, region, lat, lon, elevation, timeZone]) =>
+    ({ name, region, kind, lat, lon, elevation, timeZone });
+
+export const PLACES = [...OBSERVATORIES.map(toPlace('observatory')), ...CITIES.map(toPlace('city'))];
+
+// Lower case without accents or punctuation, so "sao paulo" finds "São Paulo"
+const normalizeName = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/*
+Score how well a place matches a normalized query
+
+Returns:
+  100 exact name, 70 name prefix, 60 prefix of a word in the name, 50 name substring,
+  20 region match, 0 for no match
+*/
+const scorePlace = (place, query) => {
+    const name = normalizeName(place.name);
+    if (name === query) return 100;
+    if (name.startsWith(query)) return 70;
+    if (name.split(' ').some(word => word.startsWith(query))) return 60;
+    if (query.length >= 3 && name.includes(query)) return 50;
+    if (query.length >= 3 && normalizeName(place.region).includes(query)) return 20;
+    return 0;
+};
+
+/*
+Look places up by name
+
+Parameters:
+  query: a place name or part of one, as typed ("tololo", "sao paulo", "chile")
+  limit: maximum number of matches
+
+Returns:
+  Array of places, best match first
+*/
+export const searchPlaces = (query, limit = 8) => {
+    const key = normalizeName(query || '');
+    if (!key) return [];
+
+    return PLACES
+        .map(place => ({ place, score: scorePlace(place, key) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ place }) => place);
+};
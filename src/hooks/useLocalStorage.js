@@ -20,19 +20,21 @@ export const useLocalStorage = (key, defaultValue) => {
 
     // Wrapped setter function that updates both state and localStorage
     const setValue = useCallback((value) => {
-        try {
+        setStoredValue(previousValue => {
             // Allow value to be a function so we have the same API as useState
-            const valueToStore = value instanceof Function ? value(storedValue) : value;
-            
-            // Save to state
-            setStoredValue(valueToStore);
-            
+            // (applied to the latest state, so several updates in one event all take effect)
+            const valueToStore = value instanceof Function ? value(previousValue) : value;
+
             // Save to localStorage
-            window.localStorage.setItem(key, JSON.stringify(valueToStore));
-        } catch (error) {
-            console.warn(`Failed to save to localStorage key "${key}":`, error);
-        }
-    }, [key, storedValue]);
+            try {
+                window.localStorage.setItem(key, JSON.stringify(valueToStore));
+            } catch (error) {
+                console.warn(`Failed to save to localStorage key "${key}":`, error);
+            }
+
+            return valueToStore;
+        });
+    }, [key]);
 
     return [storedValue, setValue];
 };
@@ -0,0 +1,83 @@
+import { useMemo } from 'react';
+import { useLocalStorageGroup } from './useLocalStorage.js';
+import { createSite, DEFAULT_SITE, getSiteLocation } from '../sites.js';
+
+// localStorage keys (after 'starpath_') of the single observer location kept before sites existed
+const LEGACY_KEYS = {
+    latDegrees: 'latDegrees',
+    latArcminutes: 'latArcminutes',
+    latArcseconds: 'latArcseconds',
+    latDirection: 'latDirection',
+    lonDegrees: 'lonDegrees',
+    lonArcminutes: 'lonArcminutes',
+    lonArcseconds: 'lonArcseconds',
+    lonDirection: 'lonDirection',
+    elevationM: 'elevationM',
+    timeZone: 'timeZone',
+    horizonProfile: 'horizon'
+};
+
+// The first site, carrying over a location saved by an older version so upgrading loses nothing
+const readLegacySite = () => {
+    const site = { ...DEFAULT_SITE };
+    Object.entries(LEGACY_KEYS).forEach(([field, key]) => {
+        try {
+            const item = window.localStorage.getItem(`starpath_${key}`);
+            if (item) site[field] = JSON.parse(item);
+        } catch (error) {
+            console.warn(`Failed to load from localStorage key "starpath_${key}":`, error);
+        }
+    });
+    return site;
+};
+
+/**
+ * Custom hook for the saved observing sites and the active one, managed with localStorage
+ * @returns {object} - {sites, activeSite, selectSite, updateActiveSite, addSite, renameSite, removeSite}
+ */
+export const useSites = () => {
+    // Only read on first load, while nothing is stored under starpath_sites yet
+    const defaultSites = useMemo(() => [readLegacySite()], []);
+
+    const { values, setters } = useLocalStorageGroup('starpath_', {
+        sites: defaultSites,
+        activeSiteId: defaultSites[0].id
+    });
+
+    const { sites } = values;
+    const activeSite = sites.find(site => site.id === values.activeSiteId) || sites[0];
+
+    // Several fields may change in one event (a gazetteer place sets position, elevation and
+    // time zone), so every update applies to the latest list
+    const updateSite = (id, changes) => {
+        setters.sites(previous => previous.map(site => site.id === id ? { ...site, ...changes } : site));
+    };
+
+    const updateActiveSite = (changes) => updateSite(activeSite.id, changes);
+
+    // A new site starts as a copy of the active one, with any fields given, and becomes active
+    const addSite = (name, fields = {}) => {
+        const site = createSite({ ...getSiteLocation(activeSite), ...fields, name });
+        setters.sites(previous => [...previous, site]);
+        setters.activeSiteId(site.id);
+    };
+
+    const renameSite = (id, name) => updateSite(id, { name });
+
+    const removeSite = (id) => {
+        if (sites.length === 1) return; // Always keep one site to observe from
+        const remaining = sites.filter(site => site.id !== id);
+        setters.sites(remaining);
+        if (id === activeSite.id) setters.activeSiteId(remaining[0].id);
+    };
+
+    return {
+        sites,
+        activeSite,
+        selectSite: setters.activeSiteId,
+        updateActiveSite,
+        addSite,
+        renameSite,
+        removeSite
+    };
+};
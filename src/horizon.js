@@ -0,0 +1,119 @@
+/*
+HORIZON.JS - Local Horizon Profile (ES6 Module)
+A local horizon is a list of {az, alt} points: the lowest altitude visible at each azimuth
+because of trees, houses or hills. Between points the altitude is interpolated linearly,
+wrapping around from the last point back to the first through North.
+
+Profiles can be imported from the plain-text horizon files used by other tools:
+- CSV: "azimuth,altitude" per line, with an optional header row
+- Stellarium polygonal horizons: "azimuth altitude" per line, '#' or ';' comments
+- N.I.N.A. .hzn files: "azimuth altitude" per line, '#' or '//' comments
+*/
+
+// Sort points by azimuth and drop duplicate azimuths (the last one wins)
+const normalizeProfile = (points) => {
+    const byAzimuth = new Map();
+    points.forEach(({ az, alt }) => byAzimuth.set(az % 360, alt));
+    return [...byAzimuth.entries()]
+        .map(([az, alt]) => ({ az, alt }))
+        .sort((a, b) => a.az - b.az);
+};
+
+/*
+Parse the text of a horizon file (CSV, Stellarium or N.I.N.A. .hzn) into a profile
+
+Returns:
+  Array of {az, alt} in degrees, sorted by azimuth
+
+Throws:
+  Error naming the offending line when a line can't be read or is out of range
+*/
+export const parseHorizonFile = (text) => {
+    const points = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith(';') || line.startsWith('//')) return;
+
+        const fields = line.split(/[\s,;]+/).filter(field => field !== '');
+        const az = parseFloat(fields[0]);
+        const alt = parseFloat(fields[1]);
+
+        if (isNaN(az) || isNaN(alt)) {
+            // Allow a header row such as "azimuth,altitude" before any data
+            if (points.length === 0 && isNaN(az)) return;
+            throw new Error(`Line ${index + 1}: expected "azimuth altitude", got "${line}"`);
+        }
+        if (az < 0 || az > 360 || alt < -90 || alt > 90) {
+            throw new Error(`Line ${index + 1}: azimuth must be 0-360° and altitude -90-90°`);
+        }
+        points.push({ az, alt });
+    });
+
+    if (points.length === 0) {
+        throw new Error('No horizon points found in file');
+    }
+    return normalizeProfile(points);
+};
+
+// Write a profile as CSV text that parseHorizonFile() reads back
+export const serializeHorizon = (profile) =>
+    ['azimuth,altitude', ...profile.map(({ az, alt }) => `${az},${alt}`)].join('\n');
+
+// Add or replace one point, keeping the profile sorted
+export const setHorizonPoint = (profile, az, alt) => normalizeProfile([...profile, { az, alt }]);
+
+// Remove the point at the given index
+export const removeHorizonPoint = (profile, index) => profile.filter((_, i) => i !== index);
+
+/*
+Minimum visible altitude at an azimuth, interpolated from the profile
+
+Parameters:
+  profile: sorted array of {az, alt}
+  az: azimuth in degrees (any value, wrapped to 0-360)
+
+Returns:
+  Altitude in degrees; 0 (the flat horizon) when the profile is empty
+*/
+export const getHorizonAltitude = (profile, az) => {
+    if (!profile || profile.length === 0) return 0;
+    if (profile.length === 1) return profile[0].alt;
+
+    const azimuth = ((az % 360) + 360) % 360;
+
+    // Find the points on either side, wrapping past North if needed
+    let next = profile.findIndex(point => point.az >= azimuth);
+    if (next === -1) next = 0;
+    const prev = (next - 1 + profile.length) % profile.length;
+
+    const from = profile[prev];
+    const to = profile[next];
+    const span = ((to.az - from.az) + 360) % 360 || 360;
+    const offset = ((azimuth - from.az) + 360) % 360;
+    return from.alt + (to.alt - from.alt) * (offset / span);
+};
+
+// True when a sky position {az, el} is above the local horizon
+export const isAboveHorizon = (profile, { az, el }) => el >= getHorizonAltitude(profile, az);
+
+/*
+Split a path of {az, el} points into consecutive visible and obstructed runs.
+Neighbouring runs share their boundary point so the drawn line has no gaps.
+
+Returns:
+  Array of {visible: boolean, points: [{az, el, ...}]}
+*/
+export const splitPathByHorizon = (path, profile) => {
+    const segments = [];
+    path.forEach((point, i) => {
+        const visible = isAboveHorizon(profile, point);
+        const current = segments[segments.length - 1];
+        if (current && current.visible === visible) {
+            current.points.push(point);
+        } else {
+            segments.push({ visible, points: i > 0 ? [path[i - 1], point] : [point] });
+        }
+    });
+    return segments;
+};
@@ -0,0 +1,172 @@
+/*
+PERMALINK.JS - Shareable Plot Links (ES6 Module)
+Encodes "this target, from this site, on this night, over these hours" as URL query parameters,
+so a plot can be sent to someone else and opened as it was:
+
+  ?target=NGC+6946&ra=308.71846&dec=60.15364
+   &site=Club+field&lat=42.68361&lon=-71.47111&elev=74&tz=America%2FNew_York
+   &date=2025-03-14&start=19:00&end=05:30&window=fixed&step=10
+
+ra/dec/lat/lon are decimal degrees (positive = North/East), but anything parseAngle() reads
+works in a hand-written link too: ra=20h35m25s, dec=-0:30:00, lat=42.5N. date is the calendar
+date at the site and start/end are the site's clock; step is the minutes between plotted
+samples (1 to 60). Every parameter is optional, and ones that don't parse or are out of range
+are ignored.
+*/
+
+import { EPOCHS } from './astronomical.js';
+import { parseAngle } from './coordinates.js';
+import { PLANETS } from './planets.js';
+import { isValidTimeZone } from './timezone.js';
+
+// Every parameter the link uses, so unrelated query parameters are left alone
+const PARAMETERS = [
+    'target', 'ra', 'dec', 'planet', 'epoch',
+    'site', 'lat', 'lon', 'elev', 'tz',
+    'date', 'start', 'end', 'window', 'step'
+];
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+// Hours of the day (18.5 = 18:30) as "18:30", and back (NaN if it isn't a time)
+const formatHours = (hours) => {
+    const minutes = Math.round(hours * 60);
+    return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+const parseHours = (text) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(text || '');
+    if (!match) return NaN;
+    const h = parseInt(match[1]);
+    const m = parseInt(match[2]);
+    return h <= 23 && m <= 59 ? h + m / 60 : NaN;
+};
+
+// "2025-03-14" as {year, month, day}, or null if it isn't a real calendar date
+const parseDate = (text) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text || '');
+    if (!match) return null;
+    const [year, month, day] = match.slice(1).map(n => parseInt(n));
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth ? { year, month, day } : null;
+};
+
+// Minutes between plotted samples: a whole number from 1 to 60, NaN otherwise
+const parseStepMinutes = (text) => {
+    const minutes = /^\d{1,2}$/.test(text || '') ? parseInt(text) : NaN;
+    return minutes >= 1 && minutes <= 60 ? minutes : NaN;
+};
+
+// An angle parameter in degrees, or null when missing or unreadable
+const readAngle = (params, name, kind) => {
+    if (!params.has(name)) return null;
+    try {
+        return parseAngle(params.get(name), kind);
+    } catch (error) {
+        console.warn(`Ignoring link parameter ${name}:`, error.message);
+        return null;
+    }
+};
+
+/*
+Build a link to the current plot
+
+Parameters:
+  baseUrl: the page address without a query, e.g. window.location.origin + window.location.pathname
+  state: {target: {name, ra, dec, planet, epoch}, site: {name, lat, lon, elevation, timeZone},
+          date: "YYYY-MM-DD" at the site, startTime, endTime (hours), timeWindowMode, stepMinutes}
+
+Returns:
+  The link as a string
+*/
+export const buildPermalink = (baseUrl, { target, site, date, startTime, endTime, timeWindowMode, stepMinutes }) => {
+    const params = new URLSearchParams();
+
+    params.set('target', target.name);
+    if (target.planet) {
+        params.set('planet', target.planet);
+    } else {
+        params.set('ra', target.ra.toFixed(5));
+        params.set('dec', target.dec.toFixed(5));
+        if (target.epoch && target.epoch !== 'J2000') params.set('epoch', target.epoch);
+    }
+
+    params.set('site', site.name);
+    params.set('lat', site.lat.toFixed(5));
+    params.set('lon', site.lon.toFixed(5));
+    params.set('elev', Math.round(site.elevation).toString());
+    if (site.timeZone) params.set('tz', site.timeZone);
+
+    params.set('date', date);
+    params.set('start', formatHours(startTime));
+    params.set('end', formatHours(endTime));
+    params.set('window', timeWindowMode);
+    params.set('step', stepMinutes.toString());
+
+    return `${baseUrl}?${params.toString()}`;
+};
+
+/*
+Read the plot state from a link's query string
+
+Parameters:
+  search: the query string, e.g. window.location.search
+
+Returns:
+  null when the query has none of the link's parameters, otherwise an object with whichever of
+  these were given and valid:
+  {target: {name, ra, dec, epoch?} or {name, planet},
+   site: {name, lat, lon, elevation?}, timeZone,
+   date: {year, month, day}, startTime, endTime (hours), timeWindowMode, stepMinutes}
+*/
+export const parsePermalink = (search) => {
+    const params = new URLSearchParams(search);
+    if (!PARAMETERS.some(name => params.has(name))) return null;
+
+    const link = {};
+
+    // A target is a planet, or a fixed position that needs both coordinates
+    const ra = readAngle(params, 'ra', 'ra');
+    const dec = readAngle(params, 'dec', 'dec');
+    const targetName = (params.get('target') || '').trim();
+    const planet = PLANETS.find(({ key }) => key === params.get('planet'));
+    if (planet) {
+        link.target = { name: targetName || planet.name, planet: planet.key };
+    } else if (ra !== null && dec !== null) {
+        link.target = { name: targetName, ra, dec };
+        if (EPOCHS[params.get('epoch')]) link.target.epoch = params.get('epoch');
+    }
+
+    const lat = readAngle(params, 'lat', 'lat');
+    const lon = readAngle(params, 'lon', 'lon');
+    if (lat !== null && lon !== null) {
+        link.site = { name: (params.get('site') || '').trim(), lat, lon };
+        const elevation = parseFloat(params.get('elev'));
+        if (!isNaN(elevation)) link.site.elevation = elevation;
+    }
+
+    // The time zone is read even without a position: the date and hours are on its clock
+    const timeZone = (params.get('tz') || '').trim();
+    if (timeZone && isValidTimeZone(timeZone)) link.timeZone = timeZone;
+
+    const date = parseDate(params.get('date'));
+    if (date) link.date = date;
+
+    const startTime = parseHours(params.get('start'));
+    const endTime = parseHours(params.get('end'));
+    if (!isNaN(startTime)) link.startTime = startTime;
+    if (!isNaN(endTime)) link.endTime = endTime;
+    if (['fixed', 'astronomical'].includes(params.get('window'))) link.timeWindowMode = params.get('window');
+    const stepMinutes = parseStepMinutes(params.get('step'));
+    if (!isNaN(stepMinutes)) link.stepMinutes = stepMinutes;
+
+    return link;
+};
+
+// The query string with the link's parameters taken out (other parameters are kept)
+export const removePermalinkParameters = (search) => {
+    const params = new URLSearchParams(search);
+    PARAMETERS.forEach(name => params.delete(name));
+    const rest = params.toString();
+    return rest ? `?${rest}` : '';
+};
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { buildPermalink, parsePermalink, removePermalinkParameters } from './permalink.js';
+
+const state = {
+    target: { name: 'NGC 6946', ra: 308.71846, dec: 60.15364, epoch: 'J2000' },
+    site: { name: 'Club field', lat: 42.68361, lon: -71.47111, elevation: 74, timeZone: 'America/New_York' },
+    date: '2025-03-14',
+    startTime: 19,
+    endTime: 5.5,
+    timeWindowMode: 'fixed',
+    stepMinutes: 5
+};
+
+describe('buildPermalink and parsePermalink', () => {
+    it('round trip the target, site, night, time window and sampling step', () => {
+        const link = buildPermalink('https://example.org/starpath/', state);
+        expect(link).toContain('step=5');
+        expect(parsePermalink(new URL(link).search)).toEqual({
+            target: { name: 'NGC 6946', ra: 308.71846, dec: 60.15364 },
+            site: { name: 'Club field', lat: 42.68361, lon: -71.47111, elevation: 74 },
+            timeZone: 'America/New_York',
+            date: { year: 2025, month: 3, day: 14 },
+            startTime: 19,
+            endTime: 5.5,
+            timeWindowMode: 'fixed',
+            stepMinutes: 5
+        });
+    });
+
+    it('ignore query strings without any of the link parameters', () => {
+        expect(parsePermalink('?utm_source=mail')).toBeNull();
+    });
+
+    it.each(['2025-13-01', '2025-00-10', '2025-02-30', '2025-04-31', '2025-01-00', '2025-1-5'])(
+        'drop the impossible date %s', (date) => {
+            expect(parsePermalink(`?date=${date}`)).not.toHaveProperty('date');
+        }
+    );
+
+    it('keep real dates, including leap days', () => {
+        expect(parsePermalink('?date=2024-02-29').date).toEqual({ year: 2024, month: 2, day: 29 });
+        expect(parsePermalink('?date=2025-12-31').date).toEqual({ year: 2025, month: 12, day: 31 });
+        expect(parsePermalink('?date=2025-02-29')).not.toHaveProperty('date');
+    });
+
+    it.each(['0', '61', '2.5', '-5', 'ten', ''])('drop the sampling step "%s"', (step) => {
+        expect(parsePermalink(`?step=${step}`)).not.toHaveProperty('stepMinutes');
+    });
+});
+
+describe('removePermalinkParameters', () => {
+    it('takes out the link parameters and keeps the rest', () => {
+        expect(removePermalinkParameters('?ra=1&step=10&utm_source=mail')).toBe('?utm_source=mail');
+        expect(removePermalinkParameters('?date=2025-03-14&step=10')).toBe('');
+    });
+});
@@ -0,0 +1,161 @@
+/*
+PLANETS.JS - Planetary Ephemeris (ES6 Module)
+Geocentric positions of the planets Mercury through Neptune from Keplerian orbital elements.
+
+The elements and their rates are the JPL "Approximate Positions of the Planets" set
+(E.M. Standish, valid 1800-2050 AD), good to roughly an arcminute for the inner planets
+and a few arcminutes for the outer ones: enough to plot a planet's path across the sky.
+
+Source: https://ssd.jpl.nasa.gov/planets/approx_pos.html
+*/
+
+import {
+  sind,
+  cosd,
+  atan2d,
+  normalizeDegrees,
+  getJulianCenturies,
+  eclipticToEquatorial,
+  catalogToApparent
+} from './astronomical.js';
+
+// Orbital elements at J2000 and their rates of change per Julian century
+// a: semi-major axis (AU), e: eccentricity, I: inclination (deg), L: mean longitude (deg),
+// peri: longitude of perihelion (deg), node: longitude of the ascending node (deg)
+const ORBITAL_ELEMENTS = {
+  mercury: {
+    elements: { a: 0.38709927, e: 0.20563593, I: 7.00497902, L: 252.25032350, peri: 77.45779628, node: 48.33076593 },
+    rates: { a: 0.00000037, e: 0.00001906, I: -0.00594749, L: 149472.67411175, peri: 0.16047689, node: -0.12534081 }
+  },
+  venus: {
+    elements: { a: 0.72333566, e: 0.00677672, I: 3.39467605, L: 181.97909950, peri: 131.60246718, node: 76.67984255 },
+    rates: { a: 0.00000390, e: -0.00004107, I: -0.00078890, L: 58517.81538729, peri: 0.00268329, node: -0.27769418 }
+  },
+  earth: { // Earth-Moon barycenter
+    elements: { a: 1.00000261, e: 0.01671123, I: -0.00001531, L: 100.46457166, peri: 102.93768193, node: 0.0 },
+    rates: { a: 0.00000562, e: -0.00004392, I: -0.01294668, L: 35999.37244981, peri: 0.32327364, node: 0.0 }
+  },
+  mars: {
+    elements: { a: 1.52371034, e: 0.09339410, I: 1.84969142, L: -4.55343205, peri: -23.94362959, node: 49.55953891 },
+    rates: { a: 0.00001847, e: 0.00007882, I: -0.00813131, L: 19140.30268499, peri: 0.44441088, node: -0.29257343 }
+  },
+  jupiter: {
+    elements: { a: 5.20288700, e: 0.04838624, I: 1.30439695, L: 34.39644051, peri: 14.72847983, node: 100.47390909 },
+    rates: { a: -0.00011607, e: -0.00013253, I: -0.00183714, L: 3034.74612775, peri: 0.21252668, node: 0.20469106 }
+  },
+  saturn: {
+    elements: { a: 9.53667594, e: 0.05386179, I: 2.48599187, L: 49.95424423, peri: 92.59887831, node: 113.66242448 },
+    rates: { a: -0.00125060, e: -0.00050991, I: 0.00193609, L: 1222.49362201, peri: -0.41897216, node: -0.28867794 }
+  },
+  uranus: {
+    elements: { a: 19.18916464, e: 0.04725744, I: 0.77263783, L: 313.23810451, peri: 170.95427630, node: 74.01692503 },
+    rates: { a: -0.00196176, e: -0.00004397, I: -0.00242939, L: 428.48202785, peri: 0.40805281, node: 0.04240589 }
+  },
+  neptune: {
+    elements: { a: 30.06992276, e: 0.00859048, I: 1.77004347, L: -55.12002969, peri: 44.96476227, node: 131.78422574 },
+    rates: { a: 0.00026291, e: 0.00005105, I: 0.00035372, L: 218.45945325, peri: -0.32241464, node: -0.00508664 }
+  }
+};
+
+// Planets that can be selected as targets, in order from the Sun
+export const PLANETS = [
+  { key: 'mercury', name: 'Mercury' },
+  { key: 'venus', name: 'Venus' },
+  { key: 'mars', name: 'Mars' },
+  { key: 'jupiter', name: 'Jupiter' },
+  { key: 'saturn', name: 'Saturn' },
+  { key: 'uranus', name: 'Uranus' },
+  { key: 'neptune', name: 'Neptune' }
+];
+
+// Light travel time in days per AU
+const LIGHT_TIME_DAYS_PER_AU = 0.0057755183;
+
+// Obliquity of the ecliptic at J2000, the frame the orbital elements are referred to
+const J2000_OBLIQUITY = 23.4392911;
+
+// Solve Kepler's equation M = E - e sin(E) for the eccentric anomaly E (degrees) by Newton iteration
+const solveKepler = (M, e) => {
+  const eDeg = e * 180 / Math.PI;
+  let E = M + eDeg * sind(M);
+  for (let i = 0; i < 10; i++) {
+    const deltaE = (M - (E - eDeg * sind(E))) / (1 - e * cosd(E));
+    E += deltaE;
+    if (Math.abs(deltaE) < 1e-8) break;
+  }
+  return E;
+};
+
+// Heliocentric ecliptic (J2000) rectangular coordinates in AU for a body at T Julian centuries from J2000
+const getHeliocentricPosition = (key, T) => {
+  const { elements, rates } = ORBITAL_ELEMENTS[key];
+  const at = (name) => elements[name] + rates[name] * T;
+
+  const a = at('a');
+  const e = at('e');
+  const I = at('I');
+  const node = at('node');
+  const omega = at('peri') - node;                 // argument of perihelion
+  const M = normalizeDegrees(at('L') - at('peri')); // mean anomaly
+
+  // Position in the orbital plane, with x toward perihelion
+  const E = solveKepler(M, e);
+  const xp = a * (cosd(E) - e);
+  const yp = a * Math.sqrt(1 - e * e) * sind(E);
+
+  // Rotate into the J2000 ecliptic frame
+  return {
+    x: (cosd(omega) * cosd(node) - sind(omega) * sind(node) * cosd(I)) * xp +
+       (-sind(omega) * cosd(node) - cosd(omega) * sind(node) * cosd(I)) * yp,
+    y: (cosd(omega) * sind(node) + sind(omega) * cosd(node) * cosd(I)) * xp +
+       (-sind(omega) * sind(node) + cosd(omega) * cosd(node) * cosd(I)) * yp,
+    z: sind(omega) * sind(I) * xp + cosd(omega) * sind(I) * yp
+  };
+};
+
+/*
+Geocentric apparent position of a planet for a given date
+
+Parameters:
+  key: planet key from PLANETS (e.g. 'mars')
+  date: JavaScript Date object
+
+Returns:
+  {ra: right_ascension_degrees, dec: declination_degrees, distance: AU}
+  - Corrected for light travel time, then precession, nutation and aberration to date
+*/
+export const getPlanetPosition = (key, date) => {
+  if (!ORBITAL_ELEMENTS[key] || key === 'earth') {
+    throw new Error(`Unknown planet "${key}"`);
+  }
+
+  const T = getJulianCenturies(date);
+  const earth = getHeliocentricPosition('earth', T);
+
+  // Iterate for light time: we see the planet where it was when the light left it
+  const geocentricDistance = ({ x, y, z }) => Math.hypot(x - earth.x, y - earth.y, z - earth.z);
+  let planet = getHeliocentricPosition(key, T);
+  for (let i = 0; i < 2; i++) {
+    planet = getHeliocentricPosition(key, T - geocentricDistance(planet) * LIGHT_TIME_DAYS_PER_AU / 36525);
+  }
+
+  // The geocentric vector to the light-time corrected position
+  const dx = planet.x - earth.x;
+  const dy = planet.y - earth.y;
+  const dz = planet.z - earth.z;
+  const distance = geocentricDistance(planet);
+
+  // Geocentric J2000 ecliptic longitude/latitude, then J2000 RA/Dec converted to apparent of date
+  const lambda = normalizeDegrees(atan2d(dy, dx));
+  const beta = atan2d(dz, Math.sqrt(dx * dx + dy * dy));
+  const j2000 = eclipticToEquatorial(lambda, beta, J2000_OBLIQUITY);
+
+  return {
+    ...catalogToApparent(j2000, date, 'J2000'),
+    distance
+  };
+};
+
+// Build a moving celestial object (a function of date) for a planet, usable anywhere
+// a fixed {ra, dec} object is accepted (see resolveCelestial in astronomical.js)
+export const planetCelestial = (key) => (date) => getPlanetPosition(key, date);
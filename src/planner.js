@@ -0,0 +1,94 @@
+/*
+PLANNER.JS - "What's Up Tonight" Session Planner (ES6 Module)
+Scans catalog entries across an observing window and works out, for each one, how long it
+stays above a minimum altitude, how high it gets and how far it is from the Moon.
+
+Altitudes come straight from the J2000 catalog position and the local sidereal time at each
+sample, skipping precession and refraction: a few tenths of a degree at most, which does not
+matter for ranking a night's targets but keeps a scan of the whole catalog fast.
+*/
+
+import {
+    sind,
+    cosd,
+    asind,
+    getGreenwichSiderealTime,
+    getMoonPosition,
+    getAngularSeparation,
+    generateDateRange
+} from './astronomical.js';
+
+// Fraction of the interval between two samples spent above the limit, given how far above it
+// (negative: below) each end is
+const fractionAbove = (from, to) => {
+    if (from >= 0 && to >= 0) return 1;
+    if (from < 0 && to < 0) return 0;
+    const crossing = from / (from - to);
+    return from >= 0 ? crossing : 1 - crossing;
+};
+
+/*
+Plan a session
+
+Parameters:
+  entries: catalog entries ({ra, dec, ...}) from loadCatalog()
+  options: {lat, lon, elevation = 0 (meters, for the Moon's parallax), start, end, minAltitude = 30, stepMinutes = 10}
+
+Returns:
+  Array of {entry, hoursUp, peakAltitude, peakTime, moonSeparation} for the entries that spend
+  at least one sample above minAltitude, in catalog order
+*/
+export const planSession = (entries, { lat, lon, elevation = 0, start, end, minAltitude = 30, stepMinutes = 10 }) => {
+    if (end < start) return [];
+
+    // Samples every stepMinutes, plus the end of the window, so the last interval may be shorter
+    const times = generateDateRange(start, end, stepMinutes);
+
+    // Everything that depends only on the time is worked out once per sample
+    const localSiderealTimes = times.map(time => getGreenwichSiderealTime(time) + lon);
+    const sinLat = sind(lat);
+    const cosLat = cosd(lat);
+    const sinMinAltitude = sind(minAltitude);
+    const intervalHours = times.map((time, i) => i > 0 ? (time - times[i - 1]) / 3600000 : 0);
+
+    // The Moon in the middle of the window stands in for the whole session
+    const moon = getMoonPosition(times[Math.floor(times.length / 2)], lat, lon, elevation);
+
+    const results = [];
+    entries.forEach(entry => {
+        const a = sinLat * sind(entry.dec);
+        const b = cosLat * cosd(entry.dec);
+
+        // Objects that never climb above minAltitude from this latitude can be skipped outright
+        if (a + b < sinMinAltitude) return;
+
+        // Time up is summed over the intervals between samples. An interval where the object
+        // crosses minAltitude counts up to the crossing, interpolated between its two ends
+        let samplesUp = 0;
+        let hoursUp = 0;
+        let previousExcess = null;
+        let peakSin = -1;
+        let peakIndex = 0;
+        localSiderealTimes.forEach((lst, i) => {
+            const sinAltitude = a + b * cosd(lst - entry.ra);
+            const excess = sinAltitude - sinMinAltitude;
+            if (excess >= 0) samplesUp++;
+            if (previousExcess !== null) hoursUp += intervalHours[i] * fractionAbove(previousExcess, excess);
+            previousExcess = excess;
+            if (sinAltitude > peakSin) {
+                peakSin = sinAltitude;
+                peakIndex = i;
+            }
+        });
+
+        if (samplesUp === 0) return;
+        results.push({
+            entry,
+            hoursUp,
+            peakAltitude: asind(peakSin),
+            peakTime: times[peakIndex],
+            moonSeparation: getAngularSeparation(entry, moon)
+        });
+    });
+    return results;
+};
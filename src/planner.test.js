@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { planSession } from './planner.js';
+
+const site = { lat: 42.68, lon: -71.47 };
+const start = new Date('2025-03-15T00:00:00Z');
+const hoursLater = (hours) => new Date(start.getTime() + hours * 3600000);
+
+describe('planSession', () => {
+    it('counts the time between the first and last sample, not one step more', () => {
+        // Near the pole from 42.7° N: about 42° up all night
+        const [row] = planSession([{ ra: 37.95, dec: 89.26 }], { ...site, start, end: hoursLater(2), minAltitude: 30 });
+        expect(row.hoursUp).toBeCloseTo(2, 9);
+    });
+
+    it('samples the end of a window that is not a whole number of steps', () => {
+        const [row] = planSession([{ ra: 37.95, dec: 89.26 }], {
+            ...site, start, end: hoursLater(1 + 25 / 60), minAltitude: 30, stepMinutes: 30
+        });
+        expect(row.hoursUp).toBeCloseTo(1 + 25 / 60, 9);
+    });
+
+    it('interpolates the time up to where the object crosses the minimum altitude', () => {
+        const entries = [{ ra: 120, dec: 20 }, { ra: 300, dec: 40 }];
+        const options = { ...site, start, end: hoursLater(10), minAltitude: 30 };
+        const coarse = planSession(entries, { ...options, stepMinutes: 30 });
+        const fine = planSession(entries, { ...options, stepMinutes: 1 });
+
+        expect(coarse).toHaveLength(2);
+        coarse.forEach((row, i) => {
+            expect(row.hoursUp).toBeGreaterThan(0);
+            expect(row.hoursUp).toBeLessThan(10);
+            expect(row.hoursUp).toBeCloseTo(fine[i].hoursUp, 1);
+        });
+    });
+
+    it('leaves out objects that never reach the minimum altitude', () => {
+        expect(planSession([{ ra: 0, dec: -70 }], { ...site, start, end: hoursLater(10) })).toEqual([]);
+    });
+});
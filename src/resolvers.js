@@ -0,0 +1,349 @@
+/*
+RESOLVERS.JS - Object Name Resolvers (ES6 Module)
+A resolver turns an object name into catalog coordinates:
+
+  resolver.resolve(name) -> Promise of {name, ra, dec, raHms, decDms, epoch, motion?, catalog?}
+
+ra/dec are ICRS (J2000) degrees; raHms ({h, m, s}) and decDms ({sign, d, m, s}, with d unsigned)
+are the same position split up for display, and motion is {pmRa, pmDec, parallax, radialVelocity} when known.
+catalog is {type, mag, size, constellation} for objects found in the offline catalog.
+
+Backends:
+- createLocalResolver: the offline catalog from catalog.js, works without a network
+- createSesameResolver: the CDS Sesame name resolver (XML output)
+- createSimbadTapResolver: the SIMBAD TAP service (ADQL query, JSON output)
+
+The HTTP backends take a base URL, so they can be pointed at a mirror or a local mock server.
+Failures reject with a ResolverError whose status tells "not found" apart from "network error".
+*/
+
+import { degToHms, degToDms } from './astronomical.js';
+import { loadCatalog, findCatalogEntry, formatEntryName, TYPE_LABELS } from './catalog.js';
+
+export const RESOLVER_STATUS = {
+    NOT_FOUND: 'notFound',
+    NETWORK: 'network'
+};
+
+export class ResolverError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ResolverError';
+        this.status = status;
+    }
+}
+
+// Default service endpoints
+export const SESAME_BASE_URL = 'https://cds.unistra.fr/cgi-bin/nph-sesame';
+export const SIMBAD_TAP_BASE_URL = 'https://simbad.cds.unistra.fr/simbad/sim-tap';
+export const DEFAULT_TIMEOUT_MS = 8000;
+
+// Resolver backends offered in the settings, in order
+export const RESOLVER_BACKENDS = [
+    { key: 'local', name: 'Offline catalog only', baseUrl: '' },
+    { key: 'sesame', name: 'CDS Sesame', baseUrl: SESAME_BASE_URL },
+    { key: 'tap', name: 'SIMBAD TAP', baseUrl: SIMBAD_TAP_BASE_URL }
+];
+
+// Lower case, single spaces: the key used for the caches
+const normalizeName = (name) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Build a resolver result from ICRS degrees
+const makeResult = (name, ra, dec, motion) => {
+    return {
+        name,
+        ra,
+        dec,
+        raHms: degToHms(ra),
+        decDms: degToDms(dec),
+        epoch: 'J2000',
+        ...(motion ? { motion } : {})
+    };
+};
+
+// Only keep the space-motion fields that are actually known
+const makeMotion = ({ pmRa, pmDec, parallax, radialVelocity }) => {
+    const motion = {};
+    if (Number.isFinite(pmRa)) motion.pmRa = pmRa;
+    if (Number.isFinite(pmDec)) motion.pmDec = pmDec;
+    if (Number.isFinite(parallax)) motion.parallax = parallax;
+    if (Number.isFinite(radialVelocity)) motion.radialVelocity = radialVelocity;
+    return Object.keys(motion).length > 0 ? motion : undefined;
+};
+
+
+/*
+LOCAL CATALOG
+*/
+
+// Resolver result for an offline catalog entry (constellations as returned by loadCatalog)
+export const catalogEntryToResult = (entry, constellations) => ({
+    ...makeResult(formatEntryName(entry), entry.ra, entry.dec, entry.motion),
+    catalog: {
+        type: TYPE_LABELS[entry.type] || entry.type,
+        mag: entry.mag,
+        size: entry.size,
+        constellation: constellations[entry.constellation]?.name || entry.constellation
+    }
+});
+
+// Resolve names from the offline catalog (Messier, Caldwell, NGC/IC to magnitude 20 and bright stars)
+export const createLocalResolver = () => ({
+    key: 'local',
+    resolve: async (name) => {
+        const { entries, constellations } = await loadCatalog();
+        const entry = findCatalogEntry(entries, name);
+        if (!entry) {
+            throw new ResolverError(
+                RESOLVER_STATUS.NOT_FOUND,
+                `Object "${name}" not found in the offline catalog (its NGC/IC objects stop at magnitude 20)`
+            );
+        }
+        return catalogEntryToResult(entry, constellations);
+    }
+});
+
+
+/*
+HTTP BACKENDS
+*/
+
+// GET a URL as text, giving up after timeoutMs; every failure becomes a network ResolverError
+const fetchText = async (url, timeoutMs, fetchFn) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetchFn(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new ResolverError(RESOLVER_STATUS.NETWORK, `Name resolver returned HTTP ${response.status}`);
+        }
+        return await response.text();
+    } catch (error) {
+        if (error instanceof ResolverError) throw error;
+        if (error.name === 'AbortError') {
+            throw new ResolverError(RESOLVER_STATUS.NETWORK, `Name resolver did not answer within ${timeoutMs / 1000} s`);
+        }
+        throw new ResolverError(RESOLVER_STATUS.NETWORK, `Could not reach the name resolver: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Strip a trailing slash so paths can be appended to a configured base URL
+const trimBaseUrl = (baseUrl) => baseUrl.replace(/\/+$/, '');
+
+/*
+Parse a Sesame XML response (the -oxp output format)
+
+Returns:
+  {name, ra, dec, motion?} from the first resolver that found the object, or null when none did
+*/
+export const parseSesameXml = (xml) => {
+    const resolver = xml.match(/<Resolver\b[^>]*>([\s\S]*?)<\/Resolver>/);
+    if (!resolver) return null;
+
+    const body = resolver[1];
+    const tag = (tagName) => {
+        const match = body.match(new RegExp(`<${tagName}\\b[^>]*>([\\s\\S]*?)</${tagName}>`));
+        return match ? match[1].trim() : null;
+    };
+    // Parallax and velocity come as <plx><v>value</v><e>error</e>...</plx>
+    const nestedValue = (tagName) => {
+        const outer = tag(tagName);
+        if (outer === null) return NaN;
+        const inner = outer.match(/<v>([^<]*)<\/v>/);
+        return parseFloat(inner ? inner[1] : outer);
+    };
+
+    const ra = parseFloat(tag('jradeg'));
+    const dec = parseFloat(tag('jdedeg'));
+    if (!Number.isFinite(ra) || !Number.isFinite(dec)) return null;
+
+    return {
+        name: tag('oname'),
+        ra,
+        dec,
+        motion: makeMotion({
+            pmRa: parseFloat(tag('pmRA')),
+            pmDec: parseFloat(tag('pmDE')),
+            parallax: nestedValue('plx'),
+            radialVelocity: nestedValue('Vel')
+        })
+    };
+};
+
+// Resolve names with CDS Sesame, asking SIMBAD only (the "S" option)
+export const createSesameResolver = ({
+    baseUrl = SESAME_BASE_URL,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchFn = (...args) => fetch(...args)
+} = {}) => ({
+    key: 'sesame',
+    resolve: async (name) => {
+        const url = `${trimBaseUrl(baseUrl)}/-oxp/S?${encodeURIComponent(name.trim())}`;
+        const found = parseSesameXml(await fetchText(url, timeoutMs, fetchFn));
+        if (!found) {
+            throw new ResolverError(RESOLVER_STATUS.NOT_FOUND, `Object "${name}" not found by Sesame`);
+        }
+        return makeResult(found.name || name.trim(), found.ra, found.dec, found.motion);
+    }
+});
+
+// Columns asked of the SIMBAD basic table, in the order they come back
+const TAP_COLUMNS = ['main_id', 'ra', 'dec', 'pmra', 'pmdec', 'plx_value', 'rvz_radvel'];
+
+// ADQL lookup of one identifier; SIMBAD normalizes the spacing and case of ident.id itself
+export const buildSimbadTapQuery = (name) =>
+    `SELECT ${TAP_COLUMNS.map(column => `basic.${column}`).join(', ')} ` +
+    `FROM basic JOIN ident ON ident.oidref = basic.oid ` +
+    `WHERE ident.id = '${name.trim().replace(/'/g, "''")}'`;
+
+/*
+Parse a SIMBAD TAP JSON response ({metadata: [{name}], data: [[...]]})
+
+Returns:
+  {name, ra, dec, motion?} from the first row, or null when there are no rows
+*/
+export const parseSimbadTapJson = (json) => {
+    const { metadata = [], data = [] } = typeof json === 'string' ? JSON.parse(json) : json;
+    if (data.length === 0) return null;
+
+    const row = {};
+    metadata.forEach(({ name }, i) => {
+        row[name.toLowerCase()] = data[0][i];
+    });
+
+    const ra = parseFloat(row.ra);
+    const dec = parseFloat(row.dec);
+    if (!Number.isFinite(ra) || !Number.isFinite(dec)) return null;
+
+    return {
+        name: row.main_id && row.main_id.replace(/\s+/g, ' '), // SIMBAD pads ids, e.g. "M  31"
+        ra,
+        dec,
+        motion: makeMotion({
+            pmRa: parseFloat(row.pmra),
+            pmDec: parseFloat(row.pmdec),
+            parallax: parseFloat(row.plx_value),
+            radialVelocity: parseFloat(row.rvz_radvel)
+        })
+    };
+};
+
+// Resolve names with a synchronous ADQL query against the SIMBAD TAP service
+export const createSimbadTapResolver = ({
+    baseUrl = SIMBAD_TAP_BASE_URL,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    fetchFn = (...args) => fetch(...args)
+} = {}) => ({
+    key: 'tap',
+    resolve: async (name) => {
+        const params = new URLSearchParams({
+            request: 'doQuery',
+            lang: 'adql',
+            format: 'json',
+            query: buildSimbadTapQuery(name)
+        });
+        const text = await fetchText(`${trimBaseUrl(baseUrl)}/sync?${params}`, timeoutMs, fetchFn);
+
+        let found;
+        try {
+            found = parseSimbadTapJson(text);
+        } catch (error) {
+            throw new ResolverError(RESOLVER_STATUS.NETWORK, 'SIMBAD TAP returned a response that is not JSON');
+        }
+        if (!found) {
+            throw new ResolverError(RESOLVER_STATUS.NOT_FOUND, `Object "${name}" not found in SIMBAD`);
+        }
+        return makeResult(found.name || name.trim(), found.ra, found.dec, found.motion);
+    }
+});
+
+
+/*
+CACHING AND CHAINING
+*/
+
+// Remember resolved names (and names known not to exist); network errors are not cached
+export const withCache = (resolver, cache = new Map()) => ({
+    key: resolver.key,
+    cache,
+    resolve: async (name) => {
+        const cacheKey = normalizeName(name);
+        if (cache.has(cacheKey)) {
+            const cached = cache.get(cacheKey);
+            if (cached.error) throw cached.error;
+            return cached.result;
+        }
+
+        try {
+            const result = await resolver.resolve(name);
+            cache.set(cacheKey, { result });
+            return result;
+        } catch (error) {
+            if (error instanceof ResolverError && error.status === RESOLVER_STATUS.NOT_FOUND) {
+                cache.set(cacheKey, { error });
+            }
+            throw error;
+        }
+    }
+});
+
+// Try resolvers in order and return the first hit. When none finds the name, a network
+// failure anywhere wins over "not found", since the object may well exist
+export const chainResolvers = (resolvers) => ({
+    key: resolvers.map(resolver => resolver.key).join('+'),
+    resolve: async (name) => {
+        let networkError = null;
+        let notFoundError = null;
+
+        for (const resolver of resolvers) {
+            try {
+                return await resolver.resolve(name);
+            } catch (error) {
+                if (error instanceof ResolverError && error.status === RESOLVER_STATUS.NOT_FOUND) {
+                    notFoundError = error; // The last backend asked has the widest catalog
+                } else {
+                    networkError = networkError || error;
+                }
+            }
+        }
+
+        throw networkError || notFoundError ||
+            new ResolverError(RESOLVER_STATUS.NOT_FOUND, `Object "${name}" not found`);
+    }
+});
+
+// One cache per backend and endpoint, kept for the whole session: the search box builds a new
+// resolver whenever its settings change, and changing the timeout shouldn't forget every lookup
+const resolverCaches = new Map();
+
+const getResolverCache = (key, baseUrl) => {
+    const cacheKey = `${key} ${trimBaseUrl(baseUrl)}`;
+    if (!resolverCaches.has(cacheKey)) resolverCaches.set(cacheKey, new Map());
+    return resolverCaches.get(cacheKey);
+};
+
+/*
+Build the resolver used by the search box from its settings
+
+Parameters:
+  settings: {backend: 'local' | 'sesame' | 'tap', baseUrl, timeoutMs}
+
+Returns:
+  The offline catalog followed by the chosen HTTP backend, with lookups cached across calls
+*/
+export const createResolver = ({ backend = 'sesame', baseUrl = '', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) => {
+    const resolvers = [createLocalResolver()];
+    const options = { timeoutMs, ...(baseUrl ? { baseUrl } : {}) };
+
+    if (backend === 'sesame') {
+        resolvers.push(withCache(createSesameResolver(options), getResolverCache(backend, baseUrl || SESAME_BASE_URL)));
+    }
+    if (backend === 'tap') {
+        resolvers.push(withCache(createSimbadTapResolver(options), getResolverCache(backend, baseUrl || SIMBAD_TAP_BASE_URL)));
+    }
+
+    return chainResolvers(resolvers);
+};
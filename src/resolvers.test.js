@@ -0,0 +1,251 @@
+import http from 'node:http';
+import { describe, it, expect, vi, afterEach, beforeAll, afterAll } from 'vitest';
+import {
+    RESOLVER_STATUS,
+    ResolverError,
+    parseSesameXml,
+    parseSimbadTapJson,
+    createSesameResolver,
+    createSimbadTapResolver,
+    createResolver,
+    withCache
+} from './resolvers.js';
+
+// Trimmed from a real -oxp/S answer for M 31
+const SESAME_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Sesame xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<Target option="S">
+  <name>M31</name>
+  <Resolver name="S=Simbad (CDS, via client/server)">
+    <INFO>from cache</INFO>
+    <otype>G</otype>
+    <jpos>00:42:44.33 +41:16:07.5</jpos>
+    <jradeg>10.68470833</jradeg>
+    <jdedeg>41.26875000</jdedeg>
+    <refPos>2006AJ....131.1163S</refPos>
+    <pmRA>-0.001</pmRA>
+    <pmDE>0.002</pmDE>
+    <Vel><v>-300.000</v><e>4.000</e></Vel>
+    <oname>M  31</oname>
+  </Resolver>
+</Target>
+</Sesame>`;
+
+const SESAME_NOT_FOUND_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<Sesame>
+<Target option="S">
+  <name>nosuchobject</name>
+  <INFO>*** Nothing found ***</INFO>
+</Target>
+</Sesame>`;
+
+const TAP_JSON = {
+    metadata: ['main_id', 'ra', 'dec', 'pmra', 'pmdec', 'plx_value', 'rvz_radvel'].map(name => ({ name })),
+    data: [['* alf Lyr', 279.23473479, 38.78368896, 200.94, 286.23, 130.23, -20.6]]
+};
+
+// A fetch that answers every request with the given body
+const respondWith = (body, { ok = true, status = 200 } = {}) =>
+    vi.fn(async () => ({ ok, status, text: async () => body }));
+
+// A fetch that never answers, only rejecting once the resolver aborts it
+const neverRespond = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+        const error = new Error('The operation was aborted');
+        error.name = 'AbortError';
+        reject(error);
+    });
+}));
+
+// The ResolverError a promise rejects with
+const rejection = (promise) => promise.then(
+    () => { throw new Error('expected the promise to reject'); },
+    (error) => error
+);
+
+describe('parseSesameXml', () => {
+    it('reads the position, name and space motion of the first resolver', () => {
+        expect(parseSesameXml(SESAME_XML)).toEqual({
+            name: 'M  31',
+            ra: 10.68470833,
+            dec: 41.26875,
+            motion: { pmRa: -0.001, pmDec: 0.002, radialVelocity: -300 }
+        });
+    });
+
+    it('returns null when no resolver found the object', () => {
+        expect(parseSesameXml(SESAME_NOT_FOUND_XML)).toBeNull();
+    });
+});
+
+describe('parseSimbadTapJson', () => {
+    it('reads the first row by column name, as an object or as text', () => {
+        const expected = {
+            name: '* alf Lyr',
+            ra: 279.23473479,
+            dec: 38.78368896,
+            motion: { pmRa: 200.94, pmDec: 286.23, parallax: 130.23, radialVelocity: -20.6 }
+        };
+        expect(parseSimbadTapJson(TAP_JSON)).toEqual(expected);
+        expect(parseSimbadTapJson(JSON.stringify(TAP_JSON))).toEqual(expected);
+    });
+
+    it('collapses the padding SIMBAD puts in identifiers and leaves out unknown motion', () => {
+        const json = { metadata: TAP_JSON.metadata, data: [['M  31', 10.6847, 41.2687, null, null, null, null]] };
+        expect(parseSimbadTapJson(json)).toEqual({ name: 'M 31', ra: 10.6847, dec: 41.2687, motion: undefined });
+    });
+
+    it('returns null when there are no rows', () => {
+        expect(parseSimbadTapJson({ metadata: TAP_JSON.metadata, data: [] })).toBeNull();
+    });
+});
+
+describe('HTTP resolvers', () => {
+    it('resolve through the configured base URL', async () => {
+        const fetchFn = respondWith(SESAME_XML);
+        const result = await createSesameResolver({ baseUrl: 'http://mirror.test/sesame/', fetchFn }).resolve(' M 31 ');
+        expect(fetchFn.mock.calls[0][0]).toBe('http://mirror.test/sesame/-oxp/S?M%2031');
+        expect(result).toMatchObject({ name: 'M  31', ra: 10.68470833, dec: 41.26875, epoch: 'J2000' });
+        expect(result.raHms.h).toBe(0);
+        expect(result.raHms.m).toBe(42);
+    });
+
+    it('tell "not found" apart from network errors', async () => {
+        const notFound = await rejection(createSesameResolver({ fetchFn: respondWith(SESAME_NOT_FOUND_XML) }).resolve('nosuchobject'));
+        expect(notFound).toBeInstanceOf(ResolverError);
+        expect(notFound.status).toBe(RESOLVER_STATUS.NOT_FOUND);
+
+        const noRows = await rejection(createSimbadTapResolver({
+            fetchFn: respondWith(JSON.stringify({ metadata: TAP_JSON.metadata, data: [] }))
+        }).resolve('nosuchobject'));
+        expect(noRows.status).toBe(RESOLVER_STATUS.NOT_FOUND);
+
+        const httpError = await rejection(createSesameResolver({ fetchFn: respondWith('', { ok: false, status: 503 }) }).resolve('M 31'));
+        expect(httpError.status).toBe(RESOLVER_STATUS.NETWORK);
+        expect(httpError.message).toContain('503');
+
+        const offline = await rejection(createSimbadTapResolver({
+            fetchFn: vi.fn(async () => { throw new TypeError('Failed to fetch'); })
+        }).resolve('Vega'));
+        expect(offline.status).toBe(RESOLVER_STATUS.NETWORK);
+
+        const notJson = await rejection(createSimbadTapResolver({ fetchFn: respondWith('<html>Service down</html>') }).resolve('Vega'));
+        expect(notJson.status).toBe(RESOLVER_STATUS.NETWORK);
+    });
+
+    it('give up with a network error after the timeout', async () => {
+        const error = await rejection(createSesameResolver({ timeoutMs: 20, fetchFn: neverRespond }).resolve('M 31'));
+        expect(neverRespond).toHaveBeenCalled();
+        expect(error.status).toBe(RESOLVER_STATUS.NETWORK);
+        expect(error.message).toContain('did not answer');
+    });
+});
+
+describe('caching', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('remembers results and "not found", but not network errors', async () => {
+        const fetchFn = vi.fn()
+            .mockResolvedValueOnce({ ok: false, status: 500, text: async () => '' })
+            .mockResolvedValue({ ok: true, status: 200, text: async () => SESAME_NOT_FOUND_XML });
+        const resolver = withCache(createSesameResolver({ fetchFn }));
+
+        expect((await rejection(resolver.resolve('Nowhere'))).status).toBe(RESOLVER_STATUS.NETWORK);
+        expect((await rejection(resolver.resolve('Nowhere'))).status).toBe(RESOLVER_STATUS.NOT_FOUND);
+        expect((await rejection(resolver.resolve('  nowhere '))).status).toBe(RESOLVER_STATUS.NOT_FOUND);
+        expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('keeps lookups when the resolver is rebuilt with new settings', async () => {
+        const fetchFn = respondWith(SESAME_XML);
+        vi.stubGlobal('fetch', fetchFn);
+        const baseUrl = 'http://cache.test/sesame';
+
+        await createResolver({ backend: 'sesame', baseUrl, timeoutMs: 5000 }).resolve('Andromeda Nebula XYZ');
+        const result = await createResolver({ backend: 'sesame', baseUrl, timeoutMs: 9000 }).resolve('andromeda nebula xyz');
+        expect(result.ra).toBe(10.68470833);
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+
+        // Another endpoint may answer differently, so it has its own cache
+        await createResolver({ backend: 'sesame', baseUrl: 'http://other.test/sesame' }).resolve('Andromeda Nebula XYZ');
+        expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('HTTP resolvers against a local mock server', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    // Sesame answers under /sesame, SIMBAD TAP under /tap; "slow" never gets an answer
+    beforeAll(async () => {
+        server = http.createServer((request, response) => {
+            const url = new URL(request.url, 'http://localhost');
+            requests.push(url);
+            const name = url.pathname.startsWith('/sesame/')
+                ? decodeURIComponent(url.search.slice(1))
+                : /ident\.id = '(.*)'/.exec(url.searchParams.get('query') || '')?.[1];
+
+            if (name === 'slow') return;
+            if (name === 'broken') {
+                response.writeHead(500);
+                response.end();
+            } else if (url.pathname === '/sesame/-oxp/S') {
+                response.writeHead(200, { 'Content-Type': 'text/xml' });
+                response.end(name === 'M 31' ? SESAME_XML : SESAME_NOT_FOUND_XML);
+            } else if (url.pathname === '/tap/sync' && url.searchParams.get('format') === 'json') {
+                response.writeHead(200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(name === 'Vega' ? TAP_JSON : { metadata: TAP_JSON.metadata, data: [] }));
+            } else {
+                response.writeHead(404);
+                response.end();
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('resolve a name through the configured base URL with the real fetch', async () => {
+        const sesame = await createSesameResolver({ baseUrl: `${baseUrl}/sesame/` }).resolve('M 31');
+        expect(sesame).toMatchObject({ name: 'M  31', ra: 10.68470833, dec: 41.26875 });
+
+        const tap = await createSimbadTapResolver({ baseUrl: `${baseUrl}/tap` }).resolve('Vega');
+        expect(tap).toMatchObject({ name: '* alf Lyr', ra: 279.23473479, dec: 38.78368896 });
+        expect(requests.some(url => url.pathname === '/tap/sync' && url.searchParams.get('lang') === 'adql')).toBe(true);
+    });
+
+    it('report "not found", HTTP errors and timeouts with the right status', async () => {
+        const sesame = createSesameResolver({ baseUrl: `${baseUrl}/sesame`, timeoutMs: 200 });
+        expect((await rejection(sesame.resolve('nosuchobject'))).status).toBe(RESOLVER_STATUS.NOT_FOUND);
+        expect((await rejection(sesame.resolve('broken'))).message).toContain('HTTP 500');
+
+        const timedOut = await rejection(sesame.resolve('slow'));
+        expect(timedOut.status).toBe(RESOLVER_STATUS.NETWORK);
+        expect(timedOut.message).toContain('did not answer');
+
+        const tap = createSimbadTapResolver({ baseUrl: `${baseUrl}/tap` });
+        expect((await rejection(tap.resolve('nosuchobject'))).status).toBe(RESOLVER_STATUS.NOT_FOUND);
+
+        const wrongPath = await rejection(createSimbadTapResolver({ baseUrl: `${baseUrl}/elsewhere` }).resolve('Vega'));
+        expect(wrongPath.status).toBe(RESOLVER_STATUS.NETWORK);
+        expect(wrongPath.message).toContain('HTTP 404');
+    });
+
+    it('report a network error when nothing listens at the base URL', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        const error = await rejection(createSesameResolver({ baseUrl: `http://127.0.0.1:${port}` }).resolve('M 31'));
+        expect(error.status).toBe(RESOLVER_STATUS.NETWORK);
+        expect(error.message).toContain('Could not reach');
+    });
+});
@@ -0,0 +1,72 @@
+/*
+SITES.JS - Observing Site Model (ES6 Module)
+A site is a plain, JSON-serializable object so saved sites can live in localStorage:
+
+  {id, name,
+   latDegrees, latArcminutes, latArcseconds, latDirection,   // latitude (DMS), 'N' or 'S'
+   lonDegrees, lonArcminutes, lonArcseconds, lonDirection,   // longitude (DMS), 'E' or 'W'
+   elevationM,                                               // meters above sea level
+   timeZone,                                                 // IANA name or UTC offset, '' for the browser's
+   horizonProfile}                                           // [{az, alt}], see horizon.js
+*/
+
+import { dmsToDeg } from './astronomical.js';
+import { angleToFields } from './coordinates.js';
+import { getBrowserTimeZone } from './timezone.js';
+
+// Fields shared by every new site: Dunstable, MA, with an open horizon
+const SITE_DEFAULTS = {
+    latDegrees: 42,
+    latArcminutes: 41,
+    latArcseconds: 1,
+    latDirection: 'N',
+    lonDegrees: 71,
+    lonArcminutes: 28,
+    lonArcseconds: 16,
+    lonDirection: 'W',
+    elevationM: 74,
+    timeZone: '',
+    horizonProfile: []
+};
+
+// Build a new site with a unique id, filling in anything not given
+export const createSite = (fields = {}) => ({
+    ...SITE_DEFAULTS,
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: 'New Site',
+    ...fields
+});
+
+// The site a first-time visitor starts with
+export const DEFAULT_SITE = {
+    ...SITE_DEFAULTS,
+    id: 'home',
+    name: 'Home',
+    timeZone: getBrowserTimeZone()
+};
+
+// Site latitude and longitude in decimal degrees (positive = North/East)
+export const getSiteLatitude = (site) =>
+    dmsToDeg(site.latDegrees, site.latArcminutes, site.latArcseconds) * (site.latDirection === 'S' ? -1 : 1);
+
+export const getSiteLongitude = (site) =>
+    dmsToDeg(site.lonDegrees, site.lonArcminutes, site.lonArcseconds) * (site.lonDirection === 'W' ? -1 : 1);
+
+// Latitude/longitude fields of a site from decimal degrees (the inverse of the two above)
+export const latLonToSiteFields = (lat, lon) => {
+    const latFields = angleToFields(lat, 'lat');
+    const lonFields = angleToFields(lon, 'lon');
+    return {
+        latDegrees: latFields.primary,
+        latArcminutes: latFields.secondary,
+        latArcseconds: latFields.tertiary,
+        latDirection: latFields.direction,
+        lonDegrees: lonFields.primary,
+        lonArcminutes: lonFields.secondary,
+        lonArcseconds: lonFields.tertiary,
+        lonDirection: lonFields.direction
+    };
+};
+
+// Everything about a site except who it is: what a new site copies from the current one
+export const getSiteLocation = ({ id, name, ...location }) => location;
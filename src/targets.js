@@ -0,0 +1,116 @@
+/*
+TARGETS.JS - Observing Target Model (ES6 Module)
+A target is a plain, JSON-serializable object so the target list can live in localStorage:
+
+  {id, name, color,
+   raHours, raMinutes, raSeconds,                 // catalog RA (HMS)
+   decSign, decDegrees, decArcminutes, decArcseconds, // catalog Dec: '+' or '-', then unsigned DMS
+   epoch,                                         // 'J2000' or 'B1950'
+   pmRa, pmDec, parallax, radialVelocity,         // space motion (mas/yr, mas, km/s)
+   planet}                                        // planet key from PLANETS, or '' for a fixed target
+*/
+
+import { hmsToDeg, dmsToDeg } from './astronomical.js';
+import { angleToFields } from './coordinates.js';
+import { PLANETS, planetCelestial } from './planets.js';
+
+// Path colors handed out to new targets, in order
+export const TARGET_COLORS = ['#ff4444', '#44aaff', '#44dd66', '#ffaa22', '#dd66ff', '#22dddd', '#ff77aa', '#bbbb33'];
+
+// Fields shared by every new target: a fixed J2000 position with no proper motion
+const TARGET_DEFAULTS = {
+    raHours: 0,
+    raMinutes: 0,
+    raSeconds: 0,
+    decSign: '+',
+    decDegrees: 0,
+    decArcminutes: 0,
+    decArcseconds: 0,
+    epoch: 'J2000',
+    pmRa: 0,
+    pmDec: 0,
+    parallax: 0,
+    radialVelocity: 0,
+    planet: ''
+};
+
+// Build a new target with a unique id, filling in anything not given
+export const createTarget = (fields = {}) => ({
+    ...TARGET_DEFAULTS,
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: 'New Target',
+    color: TARGET_COLORS[0],
+    ...fields
+});
+
+// The first color not already used by a target in the list (cycling once all are taken)
+export const nextTargetColor = (targets) =>
+    TARGET_COLORS.find(color => !targets.some(target => target.color === color)) ||
+    TARGET_COLORS[targets.length % TARGET_COLORS.length];
+
+// The list a first-time visitor starts with
+export const DEFAULT_TARGETS = [{
+    ...TARGET_DEFAULTS,
+    id: 'fireworks',
+    name: 'Fireworks Galaxy (NGC 6946)',
+    color: TARGET_COLORS[0],
+    raHours: 20,
+    raMinutes: 35,
+    raSeconds: 25,
+    decDegrees: 60,
+    decArcminutes: 14,
+    decArcseconds: 47
+}];
+
+// Dec sign of a target, '+' or '-'. The sign is stored on its own so that -0° 30' survives;
+// targets saved before decSign existed carry it on decDegrees instead
+export const getTargetDecSign = (target) =>
+    target.decSign || (target.decDegrees < 0 ? '-' : '+');
+
+// Catalog RA/Dec of a fixed target in decimal degrees
+export const getTargetRaDec = (target) => ({
+    ra: hmsToDeg(target.raHours, target.raMinutes, target.raSeconds),
+    dec: dmsToDeg(
+        Math.abs(target.decDegrees),
+        target.decArcminutes,
+        target.decArcseconds
+    ) * (getTargetDecSign(target) === '-' ? -1 : 1)
+});
+
+// Catalog RA/Dec fields of a target from decimal degrees (the inverse of getTargetRaDec)
+export const raDecToTargetFields = (ra, dec) => {
+    const raFields = angleToFields(ra, 'ra');
+    const decFields = angleToFields(dec, 'dec');
+    return {
+        raHours: raFields.primary,
+        raMinutes: raFields.secondary,
+        raSeconds: raFields.tertiary,
+        decSign: decFields.direction,
+        decDegrees: decFields.primary,
+        decArcminutes: decFields.secondary,
+        decArcseconds: decFields.tertiary
+    };
+};
+
+// The target as a celestial object for resolveCelestial(): a planet's position is recomputed
+// for every timestamp, anything else is its catalog position with epoch and space motion
+export const getTargetCelestial = (target) => {
+    if (PLANETS.some(planet => planet.key === target.planet)) return planetCelestial(target.planet);
+    return {
+        ...getTargetRaDec(target),
+        epoch: target.epoch,
+        pmRa: target.pmRa,
+        pmDec: target.pmDec,
+        parallax: target.parallax,
+        radialVelocity: target.radialVelocity
+    };
+};
+
+// Move the target at 'index' up (-1) or down (+1) the list
+export const moveTarget = (targets, index, direction) => {
+    const newIndex = index + direction;
+    if (newIndex < 0 || newIndex >= targets.length) return targets;
+    const reordered = [...targets];
+    [reordered[index], reordered[newIndex]] = [reordered[newIndex], reordered[index]];
+    return reordered;
+};
@@ -0,0 +1,157 @@
+/*
+TIMEZONE.JS - Observing Site Time Zones (ES6 Module)
+Dates are instants; what changes with the site is how they read on a clock. These helpers turn
+instants into the site's wall-clock time and back, so a night at a telescope in Chile can be
+planned from Massachusetts with Chilean hours and the right calendar date.
+
+A site time zone is either an IANA name ("America/Santiago") or a fixed offset from UTC
+("UTC-3", "+05:30"). An empty zone means the browser's own zone.
+*/
+
+// "UTC+5", "GMT-03:00", "+0530", "-3"; the minus may be typed as a Unicode minus sign
+const OFFSET_PATTERN = /^(?:UTC|GMT)?\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?$/i;
+
+/*
+Parse a fixed UTC offset
+
+Returns:
+  Minutes east of UTC, or null when the zone is not an offset (an IANA name, say)
+*/
+export const parseUtcOffset = (zone) => {
+    const text = (zone || '').trim();
+    if (/^(UTC|GMT|Z)$/i.test(text)) return 0;
+
+    const match = OFFSET_PATTERN.exec(text);
+    if (!match) return null;
+    const hours = parseInt(match[2]);
+    const minutes = match[3] ? parseInt(match[3]) : 0;
+    if (hours > 14 || minutes > 59) return null;
+    return (match[1] === '+' ? 1 : -1) * (hours * 60 + minutes);
+};
+
+// Intl formatters are slow to create, so keep one per IANA zone
+const formatters = new Map();
+const getFormatter = (zone) => {
+    if (!formatters.has(zone)) {
+        formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(zone);
+};
+
+// True for an empty zone (browser local), a UTC offset or an IANA name this browser knows
+export const isValidTimeZone = (zone) => {
+    if (!zone || parseUtcOffset(zone) !== null) return true;
+    try {
+        getFormatter(zone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// The browser's own IANA zone ("America/New_York"), or '' if it can't tell
+export const getBrowserTimeZone = () => {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    } catch (error) {
+        return '';
+    }
+};
+
+// Every IANA zone the browser supports, for suggestions (empty in older browsers)
+export const listTimeZones = () =>
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+/*
+Offset of a time zone from UTC at a given instant (it changes with daylight saving time)
+
+Parameters:
+  date: JavaScript Date object
+  zone: IANA name, UTC offset, or '' for the browser's zone
+
+Returns:
+  Minutes east of UTC (e.g. -180 for Chile in winter, 330 for India)
+*/
+export const getTimeZoneOffset = (date, zone) => {
+    if (!zone) return -date.getTimezoneOffset();
+    const fixed = parseUtcOffset(zone);
+    if (fixed !== null) return fixed;
+
+    const parts = {};
+    getFormatter(zone).formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+    const wallClock = Date.UTC(
+        parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day),
+        parseInt(parts.hour) % 24, parseInt(parts.minute), parseInt(parts.second)
+    );
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/*
+Wall-clock reading of an instant at the site
+
+Returns:
+  {year, month (1-12), day, hour, minute, second}
+*/
+export const getZonedParts = (date, zone) => {
+    const shifted = new Date(date.getTime() + getTimeZoneOffset(date, zone) * 60000);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        second: shifted.getUTCSeconds()
+    };
+};
+
+/*
+The instant a site's clock shows a given date and time
+
+Parameters:
+  parts: {year, month (1-12), day, hour = 0, minute = 0}; out-of-range values roll over,
+         so day + 1 is the next day and hour 25 is 1 AM the day after
+  zone: IANA name, UTC offset, or '' for the browser's zone
+
+Returns:
+  JavaScript Date object
+*/
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0 }, zone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    // The offset depends on the instant we're looking for, so guess from the wall clock and
+    // correct once: enough to settle on the right side of a daylight saving change
+    const guess = wallClock - getTimeZoneOffset(new Date(wallClock), zone) * 60000;
+    return new Date(wallClock - getTimeZoneOffset(new Date(guess), zone) * 60000);
+};
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+// Site-local time as "21:05"
+export const formatZonedTime = (date, zone) => {
+    const { hour, minute } = getZonedParts(date, zone);
+    return `${pad(hour)}:${pad(minute)}`;
+};
+
+// Site-local calendar date as "2025-03-14", the format of <input type="date">
+export const formatZonedDate = (date, zone) => {
+    const { year, month, day } = getZonedParts(date, zone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// UTC time as "01:05 UTC"
+export const formatUtcTime = (date) => `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())} UTC`;
+
+// An offset in minutes as "UTC+05:30" / "UTC−03:00"
+export const formatUtcOffset = (minutes) => {
+    const sign = minutes < 0 ? '−' : '+';
+    const absolute = Math.abs(minutes);
+    return `UTC${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
@@ -7,5 +7,9 @@ export default defineConfig({
   base: './', // For GitHub Pages deployment
   build: {
     outDir: 'build',
+    // The offline catalog (src/data/catalog.json, about 950 kB minified, 300 kB gzipped) is its own
+    // chunk, only loaded when the search or planner first needs it. Raise the limit just above it so a
+    // normal build is quiet, but anything that grows past the catalog still warns
+    chunkSizeWarningLimit: 1000,
   },
 })
\ No newline at end of file